@@ -25,8 +25,14 @@ app.use((req, res, next) => {
 });
 
 // ---- Logging (dev only) ----
+// Event streams carry their access token in the query string; keep it out of the log
+morgan.token('safe-url', (req) => {
+  const url = req.originalUrl || req.url;
+  return url.includes('access_token=') ? url.replace(/([?&]access_token=)[^&]*/g, '$1[redacted]') : url;
+});
+
 if (!isProd) {
-  app.use(morgan(':method :url :status :res[content-length] - :response-time ms :req[x-request-id]'));
+  app.use(morgan(':method :safe-url :status :res[content-length] - :response-time ms :req[x-request-id]'));
 }
 
 // ---- CORS (single source of truth) ----
@@ -90,18 +96,22 @@ app.use(
   })
 );
 
-// Stricter limit for login, but relaxed in dev
+// Coarse cap on failed auth requests per IP (logins, refreshes, password
+// changes), relaxed in dev. Guessing at a single account is stopped by the
+// per-account lockout, so this stays loose enough for a whole office behind
+// one NAT address.
 const authLimiter = isProd
   ? rateLimit({
       windowMs: 15 * 60 * 1000,
-      max: 5,
+      max: parseInt(process.env.AUTH_IP_MAX_FAILURES) || 50,
       standardHeaders: true,
       legacyHeaders: false,
       skip: (req) => req.method === 'OPTIONS',
+      skipSuccessfulRequests: true,
       handler: (req, res, _next, options) => {
         res.status(options.statusCode).json({
           error: 'too_many_requests',
-          message: 'Too many login attempts. Try again later.',
+          message: 'Too many failed attempts. Try again later.',
           requestId: req.id,
         });
       },
@@ -131,12 +141,36 @@ const userRoutes = require('./routes/users');
 const stockRoutes = require('./routes/stock');
 const orderRoutes = require('./routes/orders');
 const dashboardRoutes = require('./routes/dashboard');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const customerRoutes = require('./routes/customers');
+const receivableRoutes = require('./routes/receivables');
+const priceListRoutes = require('./routes/priceLists');
+const locationRoutes = require('./routes/locations');
+const stockTransferRoutes = require('./routes/stockTransfers');
+const stockTakeRoutes = require('./routes/stockTakes');
+const auditRoutes = require('./routes/audit');
+const permissionRoutes = require('./routes/permissions');
+const eventRoutes = require('./routes/events');
+const commissionRoutes = require('./routes/commissions');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/stock', stockRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/receivables', receivableRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/commissions', commissionRoutes);
 
 
 // ---- Health & root endpoints (for cPanel health checks) ----
@@ -169,6 +203,36 @@ app.use((err, _req, res, _next) => {
   });
 });
 
+// ---- Background jobs ----
+const { releaseExpiredReservations } = require('./lib/reservations');
+const { loadRecentRevocations } = require('./lib/sessions');
+const { loadPermissions } = require('./lib/permissions');
+const { pruneEvents } = require('./lib/events');
+
+// Hand back stock held by pending orders whose reservation has expired
+setInterval(() => {
+  releaseExpiredReservations().catch((err) => console.error('Release reservations error:', err));
+}, 5 * 60 * 1000).unref();
+
+// Forget notifications older than the catch-up window
+setInterval(() => {
+  pruneEvents().catch((err) => console.error('Prune events error:', err));
+}, 60 * 60 * 1000).unref();
+
+// Pick up sessions revoked before a restart or by another instance
+const refreshRevocations = () => {
+  loadRecentRevocations().catch((err) => console.error('Load revoked sessions error:', err));
+};
+refreshRevocations();
+setInterval(refreshRevocations, 60 * 1000).unref();
+
+// Pick up permission changes made on another instance
+const refreshPermissions = () => {
+  loadPermissions().catch((err) => console.error('Load permissions error:', err));
+};
+refreshPermissions();
+setInterval(refreshPermissions, 60 * 1000).unref();
+
 // ---- Start server ----
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
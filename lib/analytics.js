@@ -0,0 +1,107 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('./prisma');
+const { SOLD_STATUSES } = require('./orderStateMachine');
+const { BUSINESS_TIMEZONE } = require('./businessTime');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Columns are UTC timestamps without a zone; compare them with UTC values
+// whatever the session timezone is
+const utc = (date) => Prisma.sql`(${date.toISOString()}::timestamptz AT TIME ZONE 'UTC')`;
+
+// Wall-clock time in the business timezone, so periods start at local midnight
+const localTime = (timestamp) => Prisma.sql`(${timestamp} AT TIME ZONE 'UTC' AT TIME ZONE ${BUSINESS_TIMEZONE})`;
+
+// Sales are dated by approval, when the invoice is raised. Line totals are
+// already net of returns, so a return reduces the period the sale fell in.
+const soldLines = ({ from, to }, joins = Prisma.empty) => Prisma.sql`
+  FROM "order_items" oi
+  JOIN "orders" o ON o."id" = oi."orderId"
+  ${joins}
+  WHERE o."status"::text IN (${Prisma.join(SOLD_STATUSES)})
+    AND o."approvedAt" >= ${utc(from)}
+    AND o."approvedAt" <= ${utc(to)}
+`;
+
+const measures = Prisma.sql`
+  COALESCE(SUM(oi."totalPrice"), 0)::float8 AS "revenue",
+  COALESCE(SUM(oi."totalCost"), 0)::float8 AS "cost",
+  COALESCE(SUM(oi."quantity" - oi."returnedQuantity"), 0)::int AS "units",
+  COUNT(DISTINCT o."id")::int AS "orders"
+`;
+
+const withProfit = (row) => ({
+  ...row,
+  profit: row.revenue - row.cost,
+  margin: row.revenue > 0 ? (row.revenue - row.cost) / row.revenue : 0
+});
+
+// Revenue, cost and units per day, week (from Monday) or month. Periods
+// without sales are filled in so charts don't skip them.
+const salesSeries = async (range, interval) => {
+  const unit = Prisma.sql`${interval}::text`;
+  const rows = await prisma.$queryRaw`
+    WITH periods AS (
+      SELECT generate_series(
+        date_trunc(${unit}, ${localTime(utc(range.from))}),
+        date_trunc(${unit}, ${localTime(utc(range.to))}),
+        ('1 ' || ${unit})::interval
+      ) AS "period"
+    ), sales AS (
+      SELECT date_trunc(${unit}, ${localTime(Prisma.sql`o."approvedAt"`)}) AS "period", ${measures}
+      ${soldLines(range)}
+      GROUP BY 1
+    )
+    SELECT to_char(p."period", 'YYYY-MM-DD') AS "period",
+      COALESCE(s."revenue", 0)::float8 AS "revenue",
+      COALESCE(s."cost", 0)::float8 AS "cost",
+      COALESCE(s."units", 0)::int AS "units",
+      COALESCE(s."orders", 0)::int AS "orders"
+    FROM periods p
+    LEFT JOIN sales s ON s."period" = p."period"
+    ORDER BY p."period"
+  `;
+
+  return rows.map(withProfit);
+};
+
+const salesTotals = async (range) => {
+  const [row] = await prisma.$queryRaw`SELECT ${measures} ${soldLines(range)}`;
+  return withProfit(row);
+};
+
+// Top sellers by revenue per item, sales rep and customer
+const salesBreakdown = async (range, limit) => {
+  const [byItem, bySalesRep, byCustomer] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT oi."stockItemId", si."name", ${measures}
+      ${soldLines(range, Prisma.sql`JOIN "stock_items" si ON si."id" = oi."stockItemId"`)}
+      GROUP BY oi."stockItemId", si."name"
+      ORDER BY "revenue" DESC
+      LIMIT ${limit}
+    `,
+    prisma.$queryRaw`
+      SELECT o."salesRepId", u."username", ${measures}
+      ${soldLines(range, Prisma.sql`JOIN "users" u ON u."id" = o."salesRepId"`)}
+      GROUP BY o."salesRepId", u."username"
+      ORDER BY "revenue" DESC
+      LIMIT ${limit}
+    `,
+    // Orders keep the customer's name as it was; show the latest one
+    prisma.$queryRaw`
+      SELECT o."customerId", (ARRAY_AGG(o."customerName" ORDER BY o."approvedAt" DESC))[1] AS "customerName", ${measures}
+      ${soldLines(range)}
+      GROUP BY o."customerId"
+      ORDER BY "revenue" DESC
+      LIMIT ${limit}
+    `
+  ]);
+
+  return {
+    byItem: byItem.map(withProfit),
+    bySalesRep: bySalesRep.map(withProfit),
+    byCustomer: byCustomer.map(withProfit)
+  };
+};
+
+module.exports = { INTERVALS, salesSeries, salesTotals, salesBreakdown };
@@ -0,0 +1,30 @@
+const { Prisma } = require('@prisma/client');
+
+// Never copied into the audit trail
+const SECRET_FIELDS = ['password', 'passwordHash', 'tokenHash', 'temporaryPassword', 'refreshToken'];
+
+// Plain JSON copy of a record without secrets (Dates become ISO strings)
+const snapshot = (value) => {
+  if (value === null || value === undefined) return Prisma.JsonNull;
+
+  return JSON.parse(JSON.stringify(value, (key, field) => (SECRET_FIELDS.includes(key) ? undefined : field)));
+};
+
+// Record a change made by the current request. Pass the transaction client
+// so the entry is committed or rolled back together with the change.
+const recordAudit = (db, req, { action, entityType, entityId = null, before = null, after = null }) => {
+  return db.auditLog.create({
+    data: {
+      action,
+      entityType,
+      entityId,
+      before: snapshot(before),
+      after: snapshot(after),
+      actorId: req.user ? req.user.id : null,
+      requestId: req.id || null,
+      ipAddress: req.ip || null
+    }
+  });
+};
+
+module.exports = { recordAudit };
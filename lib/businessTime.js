@@ -0,0 +1,81 @@
+// The business runs on Addis Ababa time; calendar boundaries (years, days)
+// for numbering and reporting are taken in this zone, not UTC.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Africa/Addis_Ababa';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const businessYear = (date = new Date()) => {
+  return parseInt(
+    new Intl.DateTimeFormat('en-US', { timeZone: BUSINESS_TIMEZONE, year: 'numeric' }).format(date)
+  );
+};
+
+// YYYY-MM-DD of the business day an instant falls on
+const businessDate = (date = new Date()) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: BUSINESS_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Milliseconds the business timezone is ahead of UTC at a given instant
+const timeZoneOffset = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: BUSINESS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value)]));
+  const wallClock = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which a YYYY-MM-DD business day starts
+const startOfBusinessDay = (day) => {
+  const utcMidnight = new Date(`${day}T00:00:00.000Z`);
+  return new Date(utcMidnight.getTime() - timeZoneOffset(utcMidnight));
+};
+
+// Last millisecond of a YYYY-MM-DD business day
+const endOfBusinessDay = (day) => {
+  const nextDay = new Date(`${day}T00:00:00.000Z`);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return new Date(startOfBusinessDay(nextDay.toISOString().slice(0, 10)).getTime() - 1);
+};
+
+const isCalendarDay = (day) => {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+};
+
+// Parse a from/to query value: plain dates are whole business days,
+// anything else is taken as an exact timestamp. Returns null when invalid.
+const parseDateBoundary = (value, boundary) => {
+  if (!value) return null;
+
+  // Days such as 2026-02-30 or 2026-13-01 match the pattern but are not dates
+  if (DATE_ONLY.test(value) && !isCalendarDay(value)) return null;
+
+  const date = DATE_ONLY.test(value)
+    ? (boundary === 'end' ? endOfBusinessDay(value) : startOfBusinessDay(value))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  businessYear,
+  businessDate,
+  startOfBusinessDay,
+  endOfBusinessDay,
+  parseDateBoundary
+};
@@ -0,0 +1,150 @@
+// Structured attributes of catalogue items. Names like "18mm mdf UV (local )"
+// used to carry all of this as free text; parseItemName reads them the same
+// way the catalogue_attributes migration did.
+
+const TEXT_ATTRIBUTES = ['category', 'material', 'finish', 'origin', 'sheetSize', 'unitOfMeasure', 'sku', 'barcode'];
+
+// Attributes the stock list can be filtered and faceted on
+const FACETS = ['category', 'material', 'thicknessMm', 'finish', 'origin', 'unitOfMeasure'];
+
+const MATERIALS = [
+  { value: 'MDF', pattern: /\bmdf\b/ },
+  { value: 'Chipwood', pattern: /\bchip\s*(wood|board)\b/ },
+  { value: 'Hardboard', pattern: /\bhard\s*board\b/ },
+  { value: 'Block-board', pattern: /\bblock[\s-]*board\b/ },
+  { value: 'Plywood', pattern: /\bply\s*wood\b/ }
+];
+
+const FINISHES = [
+  { value: 'UV', pattern: /\buv\b/ },
+  { value: 'Veneer', pattern: /\bveneer\b/ },
+  { value: 'Laminated', pattern: /\blaminat/ },
+  { value: 'Melamine', pattern: /\bmelamine\b/ },
+  { value: 'Plain', pattern: /\bplain\b/ }
+];
+
+const ORIGINS = [
+  { value: 'Imported', pattern: /\bimport/ },
+  { value: 'Local', pattern: /\blocal\b/ }
+];
+
+const firstMatch = (options, text) => {
+  const match = options.find(option => option.pattern.test(text));
+  return match ? match.value : null;
+};
+
+// Best guess at an item's attributes from its name; null where the name says nothing
+const parseItemName = (name) => {
+  const text = String(name).toLowerCase();
+  const thickness = text.match(/(\d+(?:\.\d+)?)\s*mm\b/);
+  const size = text.match(/(\d{3,4})\s*[x*]\s*(\d{3,4})/);
+  const material = firstMatch(MATERIALS, text);
+
+  return {
+    category: material,
+    material,
+    thicknessMm: thickness ? parseFloat(thickness[1]) : null,
+    finish: firstMatch(FINISHES, text),
+    origin: firstMatch(ORIGINS, text),
+    sheetSize: size ? `${size[1]}x${size[2]}` : null
+  };
+};
+
+// Attributes present in a request body, trimmed, with empty values clearing
+// them. Returns { data } or { error }.
+const parseAttributes = (body) => {
+  const data = {};
+
+  for (const field of TEXT_ATTRIBUTES) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    data[field] = value === '' ? null : value;
+  }
+
+  if (data.unitOfMeasure === null) {
+    return { error: 'Unit of measure cannot be empty' };
+  }
+  if (data.unitOfMeasure) data.unitOfMeasure = data.unitOfMeasure.toUpperCase();
+
+  if (body.thicknessMm !== undefined) {
+    if (body.thicknessMm === null || body.thicknessMm === '') {
+      data.thicknessMm = null;
+    } else if (parseFloat(body.thicknessMm) > 0) {
+      data.thicknessMm = parseFloat(body.thicknessMm);
+    } else {
+      return { error: 'Thickness must be a positive number of millimetres' };
+    }
+  }
+
+  return { data };
+};
+
+// Attributes for a new item: whatever was given, the rest read from its name
+const attributesForNewItem = (name, given) => {
+  const parsed = parseItemName(name);
+  const data = { ...given };
+
+  Object.entries(parsed).forEach(([field, value]) => {
+    if (data[field] === undefined) data[field] = value;
+  });
+
+  return data;
+};
+
+const listValues = (value) => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+// Where-clauses for facet query parameters, keyed by attribute so each facet's
+// counts can leave its own filter out. Comma-separated values match any of
+// them (?material=MDF,Chipwood); text matches ignore case. Thickness also
+// takes ?minThickness= and ?maxThickness=.
+const facetFilters = (query) => {
+  const filters = {};
+
+  FACETS.filter(field => field !== 'thicknessMm' && query[field]).forEach(field => {
+    filters[field] = {
+      OR: listValues(query[field]).map(value => ({ [field]: { equals: value, mode: 'insensitive' } }))
+    };
+  });
+
+  const thickness = [];
+  if (query.thicknessMm) {
+    thickness.push({ thicknessMm: { in: listValues(query.thicknessMm).map(parseFloat).filter(value => !isNaN(value)) } });
+  }
+  if (!isNaN(parseFloat(query.minThickness))) thickness.push({ thicknessMm: { gte: parseFloat(query.minThickness) } });
+  if (!isNaN(parseFloat(query.maxThickness))) thickness.push({ thicknessMm: { lte: parseFloat(query.maxThickness) } });
+  if (thickness.length > 0) filters.thicknessMm = { AND: thickness };
+
+  return filters;
+};
+
+// Value counts for every facet among the items matching `baseWhere` and the
+// other facets' filters
+const facetCounts = async (db, baseWhere, filters) => {
+  const entries = await Promise.all(FACETS.map(async (field) => {
+    const others = Object.entries(filters)
+      .filter(([key]) => key !== field)
+      .map(([, clause]) => clause);
+
+    const rows = await db.stockItem.groupBy({
+      by: [field],
+      where: { AND: [baseWhere, ...others] },
+      _count: { _all: true },
+      orderBy: { [field]: 'asc' }
+    });
+
+    return [field, rows
+      .filter(row => row[field] !== null)
+      .map(row => ({ value: row[field], count: row._count._all }))];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  FACETS,
+  parseItemName,
+  parseAttributes,
+  attributesForNewItem,
+  facetFilters,
+  facetCounts
+};
@@ -0,0 +1,151 @@
+const { SOLD_STATUSES } = require('./orderStateMachine');
+const { EPSILON } = require('./payments');
+const { businessDate, startOfBusinessDay, endOfBusinessDay } = require('./businessTime');
+
+const COMMISSION_BASES = ['REVENUE', 'MARGIN'];
+
+// YYYY-MM of the business month an instant falls in
+const businessMonth = (date) => businessDate(date).slice(0, 7);
+
+// First and last instant of the business months a range touches
+const monthBounds = ({ from, to }) => {
+  const [year, month] = businessMonth(to).split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+
+  return {
+    from: startOfBusinessDay(`${businessMonth(from)}-01`),
+    to: endOfBusinessDay(lastDay)
+  };
+};
+
+// The current business month, used when a statement has no range
+const currentMonthRange = () => monthBounds({ from: new Date(), to: new Date() });
+
+// Rule for one line: a rule for the item's category beats the catch-all rules,
+// and of those the highest tier the month's paid revenue has reached applies
+const ruleFor = (rules, category, monthlyRevenue) => {
+  const reached = rules.filter(rule => rule.minMonthlyRevenue <= monthlyRevenue + EPSILON);
+  const specific = category ? reached.filter(rule => rule.category === category) : [];
+  const candidates = specific.length > 0 ? specific : reached.filter(rule => rule.category === null);
+
+  return candidates.sort((a, b) => b.minMonthlyRevenue - a.minMonthlyRevenue)[0] || null;
+};
+
+const lineCommission = (rule, line) => {
+  if (!rule) return 0;
+
+  const base = rule.basis === 'MARGIN'
+    ? line.totalPrice - (line.totalCost || 0)
+    : line.totalPrice;
+
+  return Math.max(base, 0) * rule.rate / 100;
+};
+
+const rate = (part, whole) => (whole > 0 ? part / whole : null);
+
+// A sales rep's statement for a period: order activity, sales approved in the
+// period, and commission on orders settled in the period. Tiers are judged on
+// the rep's paid revenue for each whole month, even if the period covers part
+// of it. Uses the rules as they are now.
+const buildStatement = async (db, salesRep, range) => {
+  const createdInRange = { salesRepId: salesRep.id, createdAt: { gte: range.from, lte: range.to } };
+  const months = monthBounds(range);
+
+  const [total, approved, rejected, sales, paidOrders, rules] = await Promise.all([
+    db.order.count({ where: createdInRange }),
+    db.order.count({ where: { ...createdInRange, approvedAt: { not: null } } }),
+    db.order.count({ where: { ...createdInRange, status: 'REJECTED' } }),
+    db.orderItem.aggregate({
+      where: {
+        order: {
+          salesRepId: salesRep.id,
+          status: { in: SOLD_STATUSES },
+          approvedAt: { gte: range.from, lte: range.to }
+        }
+      },
+      _sum: { totalPrice: true, totalCost: true }
+    }),
+    db.order.findMany({
+      where: {
+        salesRepId: salesRep.id,
+        status: { in: SOLD_STATUSES },
+        paymentStatus: 'PAID',
+        paidAt: { gte: months.from, lte: months.to }
+      },
+      include: {
+        orderItems: {
+          include: {
+            stockItem: {
+              select: { category: true }
+            }
+          }
+        }
+      },
+      orderBy: { paidAt: 'asc' }
+    }),
+    db.commissionRule.findMany({ where: { isActive: true } })
+  ]);
+
+  const monthlyRevenue = new Map();
+  paidOrders.forEach(order => {
+    const month = businessMonth(order.paidAt);
+    monthlyRevenue.set(month, (monthlyRevenue.get(month) || 0) + order.totalAmount);
+  });
+
+  const commissionOrders = paidOrders
+    .filter(order => order.paidAt >= range.from && order.paidAt <= range.to)
+    .map(order => {
+      const month = businessMonth(order.paidAt);
+      const revenue = order.orderItems.reduce((sum, item) => sum + item.totalPrice, 0);
+      const cost = order.orderItems.reduce((sum, item) => sum + (item.totalCost || 0), 0);
+      const commission = order.orderItems.reduce((sum, item) => {
+        const rule = ruleFor(rules, item.stockItem.category, monthlyRevenue.get(month));
+        return sum + lineCommission(rule, item);
+      }, 0);
+
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerName: order.customerName,
+        paidAt: order.paidAt,
+        month,
+        revenue,
+        margin: revenue - cost,
+        commission
+      };
+    });
+
+  const revenue = sales._sum.totalPrice || 0;
+  const cost = sales._sum.totalCost || 0;
+
+  return {
+    salesRep: { id: salesRep.id, username: salesRep.username },
+    from: range.from,
+    to: range.to,
+    orders: {
+      total,
+      approved,
+      rejected,
+      approvalRate: rate(approved, approved + rejected),
+      rejectionRate: rate(rejected, approved + rejected)
+    },
+    revenue,
+    cost,
+    margin: revenue - cost,
+    marginRate: rate(revenue - cost, revenue),
+    commission: {
+      amount: commissionOrders.reduce((sum, order) => sum + order.commission, 0),
+      paidRevenue: commissionOrders.reduce((sum, order) => sum + order.revenue, 0),
+      months: Array.from(monthlyRevenue, ([month, paidRevenue]) => ({
+        month,
+        paidRevenue,
+        commission: commissionOrders
+          .filter(order => order.month === month)
+          .reduce((sum, order) => sum + order.commission, 0)
+      })),
+      orders: commissionOrders
+    }
+  };
+};
+
+module.exports = { COMMISSION_BASES, currentMonthRange, ruleFor, buildStatement };
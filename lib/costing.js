@@ -0,0 +1,29 @@
+// Stock is valued at weighted-average cost. Receipts blend their landed cost
+// into the average; outbound movements are costed at the average at that time.
+
+// Average unit cost after `addedQuantity` units arrive at `addedUnitCost`
+const weightedAverageCost = (onHand, currentAverage, addedQuantity, addedUnitCost) => {
+  const existing = Math.max(onHand, 0);
+  const total = existing + addedQuantity;
+
+  if (existing === 0 || total <= 0) {
+    return addedUnitCost;
+  }
+
+  return (existing * currentAverage + addedQuantity * addedUnitCost) / total;
+};
+
+// Items that have never been received fall back to the manager-set buying price
+const currentUnitCost = (stockItem) => {
+  return stockItem.averageCost > 0 ? stockItem.averageCost : stockItem.buyingPrice;
+};
+
+// Buying price is a reference price; it only becomes the average cost when
+// nothing is on hand that was bought at the old cost
+const buyingPriceUpdate = (stockItem, buyingPrice) => {
+  const data = { buyingPrice };
+  if (stockItem.quantity <= 0) data.averageCost = buyingPrice;
+  return data;
+};
+
+module.exports = { weightedAverageCost, currentUnitCost, buyingPriceUpdate };
@@ -0,0 +1,66 @@
+const { HttpError } = require('./errors');
+
+// Reduce a contact to a comparable key: phone numbers become digits with the
+// +251 country code folded into the local 0 prefix; anything else (e.g. an
+// email) is trimmed and lower-cased. Keep in sync with the customers migration.
+const normalizeContact = (contact) => {
+  if (!contact) return null;
+
+  const trimmed = String(contact).trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (digits.length >= 7) {
+    if (digits.startsWith('251') && digits.length === 12) return '0' + digits.slice(3);
+    if (digits.length === 9) return '0' + digits;
+    return digits;
+  }
+
+  return trimmed.toLowerCase() || null;
+};
+
+// Follow merge links so orders always attach to the surviving record
+const findActiveCustomer = async (db, id) => {
+  let customer = await db.customer.findUnique({ where: { id } });
+
+  while (customer && customer.mergedIntoId) {
+    customer = await db.customer.findUnique({ where: { id: customer.mergedIntoId } });
+  }
+
+  return customer;
+};
+
+// Resolve the customer for a new order: an existing id, or name + contact
+// matched on the normalised contact and created when there is no match.
+const resolveCustomer = async (db, { customerId, name, contact, userId }) => {
+  if (customerId) {
+    const customer = await findActiveCustomer(db, customerId);
+    if (!customer) {
+      throw new HttpError(400, `Customer not found: ${customerId}`);
+    }
+    return customer;
+  }
+
+  if (!name || !contact) {
+    throw new HttpError(400, 'Customer details and items are required');
+  }
+
+  const contactKey = normalizeContact(contact);
+
+  const existing = await db.customer.findFirst({
+    where: { contactKey, mergedIntoId: null },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (existing) return existing;
+
+  return db.customer.create({
+    data: {
+      name: String(name).trim(),
+      phone: String(contact).trim(),
+      contactKey,
+      createdById: userId
+    }
+  });
+};
+
+module.exports = { normalizeContact, findActiveCustomer, resolveCustomer };
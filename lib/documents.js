@@ -0,0 +1,135 @@
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+
+// Company header printed on every document, configured per deployment
+const companyDetails = () => ({
+  name: process.env.COMPANY_NAME || 'Namef Trading',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  tin: process.env.COMPANY_TIN || ''
+});
+
+const formatMoney = (amount) => {
+  return `ETB ${Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Header block shared by invoices and delivery notes; returns the next free y
+const drawHeader = (doc, title, order, documentNumber = null) => {
+  const company = companyDetails();
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  doc.setFontSize(16);
+  doc.text(company.name, 14, 18);
+
+  doc.setFontSize(9);
+  const companyLines = [
+    company.address,
+    [company.phone, company.email].filter(Boolean).join('  |  '),
+    company.tin ? `TIN: ${company.tin}` : ''
+  ].filter(Boolean);
+  companyLines.forEach((line, index) => doc.text(line, 14, 24 + index * 5));
+
+  doc.setFontSize(14);
+  doc.text(title, pageWidth - 14, 18, { align: 'right' });
+
+  doc.setFontSize(9);
+  const references = [
+    documentNumber,
+    `Order No: ${order.orderNumber || order.id}`,
+    `Date: ${formatDate(order.approvedAt || order.createdAt)}`
+  ].filter(Boolean);
+  references.forEach((line, index) => doc.text(line, pageWidth - 14, 24 + index * 5, { align: 'right' }));
+
+  const customerTop = 24 + Math.max(companyLines.length, references.length) * 5 + 6;
+  doc.setFontSize(10);
+  doc.text('Customer', 14, customerTop);
+  doc.setFontSize(9);
+  doc.text(order.customerName, 14, customerTop + 5);
+  doc.text(order.customerContact, 14, customerTop + 10);
+  if (order.customer && order.customer.address) {
+    doc.text(order.customer.address, 14, customerTop + 15);
+  }
+
+  doc.text(`Sales representative: ${order.salesRep.username}`, pageWidth - 14, customerTop + 5, { align: 'right' });
+
+  return customerTop + 22;
+};
+
+const toBuffer = (doc) => Buffer.from(doc.output('arraybuffer'));
+
+// Invoice with prices, totals and the current payment position. Returned
+// quantities are netted off, matching the reduced line totals.
+const buildInvoicePdf = (order) => {
+  const doc = new jsPDF();
+  const startY = drawHeader(doc, 'INVOICE', order, `Invoice No: ${order.invoiceNumber || '-'}`);
+
+  autoTable(doc, {
+    startY,
+    head: [['#', 'Item', 'Qty', 'Unit price', 'Total']],
+    body: order.orderItems.map((item, index) => [
+      index + 1,
+      item.stockItem.name,
+      item.quantity - (item.returnedQuantity || 0),
+      formatMoney(item.unitPrice),
+      formatMoney(item.totalPrice)
+    ]),
+    columnStyles: {
+      2: { halign: 'right' },
+      3: { halign: 'right' },
+      4: { halign: 'right' }
+    }
+  });
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let y = doc.lastAutoTable.finalY + 10;
+  const totals = [
+    ['Total', order.totalAmount],
+    ['Paid', order.amountPaid],
+    ['Balance due', order.totalAmount - order.amountPaid]
+  ];
+
+  doc.setFontSize(10);
+  totals.forEach(([label, amount]) => {
+    doc.text(label, pageWidth - 70, y);
+    doc.text(formatMoney(amount), pageWidth - 14, y, { align: 'right' });
+    y += 6;
+  });
+
+  return toBuffer(doc);
+};
+
+// Delivery note lists quantities only and leaves room for signatures
+const buildDeliveryNotePdf = (order) => {
+  const doc = new jsPDF();
+  const startY = drawHeader(doc, 'DELIVERY NOTE', order);
+
+  autoTable(doc, {
+    startY,
+    head: [['#', 'Item', 'Qty']],
+    body: order.orderItems.map((item, index) => [
+      index + 1,
+      item.stockItem.name,
+      item.quantity
+    ]),
+    columnStyles: {
+      2: { halign: 'right' }
+    }
+  });
+
+  const y = doc.lastAutoTable.finalY + 25;
+  doc.setFontSize(9);
+  doc.text('Issued by: ____________________', 14, y);
+  doc.text('Received by: ____________________', 110, y);
+  doc.text('Date: ____________', 14, y + 10);
+  doc.text('Signature: ____________________', 110, y + 10);
+
+  return toBuffer(doc);
+};
+
+module.exports = { companyDetails, buildInvoicePdf, buildDeliveryNotePdf };
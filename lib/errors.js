@@ -0,0 +1,11 @@
+// Thrown from inside transactions to abort them with a client-facing error.
+// Route handlers map it to `res.status(error.status).json({ error: error.message })`.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,147 @@
+const { prisma } = require('./prisma');
+const { hasPermission } = require('./permissions');
+const { isSessionRevoked } = require('./sessions');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+// Rows are picked up by creation time, not only by id, so an event whose
+// transaction commits after a later one is still delivered
+const LOOKBACK_MS = 30 * 1000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+const pollIntervalMs = () => envInt('EVENTS_POLL_MS', 2000);
+const retentionMs = () => envInt('EVENTS_RETENTION_HOURS', 24) * 60 * 60 * 1000;
+
+// Queue a notification. Pass the transaction client so the event only exists
+// if the change it describes is committed. It is delivered to users whose role
+// holds `permission` and to `userId`.
+const publishEvent = (db, { type, payload, permission = null, userId = null }) => {
+  return db.event.create({
+    data: { type, payload, permission, userId }
+  });
+};
+
+const canReceive = (user, event) => {
+  return event.userId === user.id || (event.permission !== null && hasPermission(user.role, event.permission));
+};
+
+// Connected streams on this process. Events are read back from the table, so
+// every instance delivers events published by any other.
+const clients = new Set();
+let pollTimer = null;
+
+const write = (client, chunk) => {
+  if (client.res.writableEnded) return;
+
+  client.res.write(chunk);
+  // compression buffers responses; push each event out immediately
+  if (client.res.flush) client.res.flush();
+  client.lastWriteAt = Date.now();
+};
+
+const send = (client, event) => {
+  client.seen.set(event.id, event.createdAt.getTime());
+  if (!canReceive(client.user, event)) return;
+
+  const data = { ...event.payload, createdAt: event.createdAt };
+  write(client, `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const close = (client) => {
+  clients.delete(client);
+  client.res.end();
+
+  if (clients.size === 0 && pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+const pollEvents = async () => {
+  const since = Date.now() - LOOKBACK_MS;
+  const events = await prisma.event.findMany({
+    where: { createdAt: { gte: new Date(since) } },
+    orderBy: { id: 'asc' }
+  });
+
+  for (const client of clients) {
+    if (client.ready) {
+      events
+        .filter(event => event.id > client.floor && !client.seen.has(event.id))
+        .forEach(event => send(client, event));
+
+      for (const [id, createdAt] of client.seen) {
+        if (createdAt < since) client.seen.delete(id);
+      }
+    }
+
+    // Streams end with the session or the access token that opened them (after
+    // delivering what explains why); the client reconnects with a fresh token
+    // and Last-Event-ID
+    if (isSessionRevoked(client.user.sessionId) || client.user.tokenExpiresAt <= new Date()) {
+      close(client);
+    } else if (Date.now() - client.lastWriteAt >= HEARTBEAT_MS) {
+      write(client, ': ping\n\n');
+    }
+  }
+};
+
+// Start streaming events to `res`. With a Last-Event-ID the client first gets
+// every retained event it missed; otherwise it starts from now.
+const openEventStream = async (req, res, lastEventId) => {
+  const client = {
+    user: req.user,
+    res,
+    ready: false,
+    floor: 0,
+    seen: new Map(),
+    lastWriteAt: Date.now()
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  write(client, `retry: ${RETRY_MS}\n\n`);
+
+  // Registered before the catch-up query so nothing committed meanwhile is lost
+  clients.add(client);
+  req.on('close', () => close(client));
+
+  if (!pollTimer) {
+    pollTimer = setInterval(() => {
+      pollEvents().catch((err) => console.error('Poll events error:', err));
+    }, pollIntervalMs());
+    pollTimer.unref();
+  }
+
+  if (lastEventId !== null) {
+    client.floor = lastEventId;
+
+    const missed = await prisma.event.findMany({
+      where: { id: { gt: lastEventId } },
+      orderBy: { id: 'asc' }
+    });
+    missed.forEach(event => send(client, event));
+  } else {
+    const { _max } = await prisma.event.aggregate({ _max: { id: true } });
+    client.floor = _max.id || 0;
+  }
+
+  client.ready = true;
+};
+
+// Drop events too old to be worth catching up on
+const pruneEvents = () => {
+  return prisma.event.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - retentionMs()) } }
+  });
+};
+
+module.exports = { publishEvent, openEventStream, pruneEvents };
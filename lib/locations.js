@@ -0,0 +1,99 @@
+const { HttpError } = require('./errors');
+
+// The location used when a request doesn't name one
+const getDefaultLocation = async (db) => {
+  const location = await db.location.findFirst({
+    where: { isDefault: true, isActive: true }
+  });
+
+  if (!location) {
+    throw new HttpError(400, 'No default location is set up');
+  }
+
+  return location;
+};
+
+// An active location by id, or the default when no id is given
+const resolveLocation = async (db, locationId) => {
+  if (!locationId) return getDefaultLocation(db);
+
+  const location = await db.location.findUnique({ where: { id: locationId } });
+
+  if (!location || !location.isActive) {
+    throw new HttpError(400, `Location not found: ${locationId}`);
+  }
+
+  return location;
+};
+
+// Locations a user may move stock at, or null for no restriction. Only store
+// keepers are restricted, and only once they have been assigned somewhere.
+const allowedLocationIds = async (db, user) => {
+  if (user.role !== 'STORE_KEEPER') return null;
+
+  const assignments = await db.userLocation.findMany({
+    where: { userId: user.id },
+    select: { locationId: true }
+  });
+
+  return assignments.length > 0 ? assignments.map(assignment => assignment.locationId) : null;
+};
+
+const assertLocationAccess = async (db, user, location) => {
+  const allowed = await allowedLocationIds(db, user);
+
+  if (allowed && !allowed.includes(location.id)) {
+    throw new HttpError(403, `You are not assigned to ${location.name}`);
+  }
+};
+
+// Change an item's level at one location by a signed amount. Decrements are a
+// conditional UPDATE so a location can never go below zero.
+const adjustLocationStock = async (tx, { stockItemId, locationId, quantity }) => {
+  if (quantity >= 0) {
+    return tx.stockLevel.upsert({
+      where: { stockItemId_locationId: { stockItemId, locationId } },
+      update: { quantity: { increment: quantity } },
+      create: { stockItemId, locationId, quantity }
+    });
+  }
+
+  const updated = await tx.$executeRaw`
+    UPDATE "stock_levels"
+    SET "quantity" = "quantity" + ${quantity},
+        "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "stockItemId" = ${stockItemId}
+      AND "locationId" = ${locationId}
+      AND "quantity" >= ${-quantity}
+  `;
+
+  if (updated === 0) {
+    const [item, location] = await Promise.all([
+      tx.stockItem.findUnique({ where: { id: stockItemId } }),
+      tx.location.findUnique({ where: { id: locationId } })
+    ]);
+    throw new HttpError(400, `Insufficient stock for ${item ? item.name : stockItemId} at ${location ? location.name : locationId}`);
+  }
+
+  return updated;
+};
+
+// Quantity of an item at a location, locking the level row until commit
+const lockLocationStock = async (tx, { stockItemId, locationId }) => {
+  const [level] = await tx.$queryRaw`
+    SELECT "quantity" FROM "stock_levels"
+    WHERE "stockItemId" = ${stockItemId} AND "locationId" = ${locationId}
+    FOR UPDATE
+  `;
+
+  return level ? level.quantity : 0;
+};
+
+module.exports = {
+  getDefaultLocation,
+  resolveLocation,
+  allowedLocationIds,
+  assertLocationAccess,
+  adjustLocationStock,
+  lockLocationStock
+};
@@ -0,0 +1,63 @@
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+const maxFailures = () => envInt('LOGIN_MAX_FAILURES', 5);
+
+// First lockout lasts LOCKOUT_BASE_MINUTES; each further one without a
+// successful login in between doubles it, up to LOCKOUT_MAX_MINUTES
+const lockoutDurationMs = (lockoutCount) => {
+  const minutes = Math.min(
+    envInt('LOCKOUT_BASE_MINUTES', 5) * 2 ** lockoutCount,
+    envInt('LOCKOUT_MAX_MINUTES', 24 * 60)
+  );
+  return minutes * 60 * 1000;
+};
+
+const isLocked = (user) => Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+const recordLoginAttempt = (db, req, { username, userId = null, success, reason = null }) => {
+  return db.loginAttempt.create({
+    data: {
+      username: String(username),
+      userId,
+      success,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    }
+  });
+};
+
+// Count a wrong password and lock the account once the limit is reached.
+// The increment is atomic and the lock only applies while the count is still
+// over the limit, so parallel guesses can't skip or double a lockout.
+const registerFailedLogin = async (db, user) => {
+  const updated = await db.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } }
+  });
+
+  if (updated.failedLoginCount < maxFailures()) return updated;
+
+  await db.user.updateMany({
+    where: { id: user.id, failedLoginCount: { gte: maxFailures() } },
+    data: {
+      failedLoginCount: 0,
+      lockoutCount: { increment: 1 },
+      lockedUntil: new Date(Date.now() + lockoutDurationMs(updated.lockoutCount))
+    }
+  });
+
+  return db.user.findUnique({ where: { id: user.id } });
+};
+
+const clearLockout = (db, userId) => {
+  return db.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lockoutCount: 0, lockedUntil: null }
+  });
+};
+
+module.exports = { isLocked, recordLoginAttempt, registerFailedLogin, clearLockout };
@@ -0,0 +1,26 @@
+const { HttpError } = require('./errors');
+
+const ORDER_STATUSES = ['PENDING', 'APPROVED', 'DELIVERED', 'REJECTED', 'CANCELLED'];
+
+// The only status changes an order may go through. Returns and edits don't
+// change the status, so they are checked by the routes themselves.
+const ORDER_TRANSITIONS = {
+  PENDING: ['APPROVED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['DELIVERED', 'CANCELLED'],
+  DELIVERED: [],
+  REJECTED: [],
+  CANCELLED: []
+};
+
+// Orders whose stock has left the shelf and that count as sales
+const SOLD_STATUSES = ['APPROVED', 'DELIVERED'];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new HttpError(400, `Order cannot move from ${from} to ${to}`);
+  }
+};
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, SOLD_STATUSES, canTransition, assertTransition };
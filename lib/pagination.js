@@ -0,0 +1,32 @@
+// Offset pagination and whitelisted sorting shared by the list endpoints.
+// Query: ?page=1&pageSize=25&sortBy=createdAt&sortOrder=desc
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize) || DEFAULT_PAGE_SIZE));
+
+  return { page, pageSize, skip: (page - 1) * pageSize, take: pageSize };
+};
+
+// Unknown sort fields fall back to the default rather than reaching Prisma
+const parseSort = (query, allowedFields, defaultField, defaultOrder = 'asc') => {
+  const field = allowedFields.includes(query.sortBy) ? query.sortBy : defaultField;
+  const order = ['asc', 'desc'].includes(query.sortOrder) ? query.sortOrder : defaultOrder;
+
+  return { [field]: order };
+};
+
+const paginated = (data, total, { page, pageSize }) => ({
+  data,
+  pagination: {
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize)
+  }
+});
+
+module.exports = { parsePagination, parseSort, paginated };
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { HttpError } = require('./errors');
+
+const BCRYPT_ROUNDS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// PASSWORD_HISTORY_COUNT counts the current password, so 5 blocks the last five
+const passwordPolicy = () => ({
+  minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+  historyCount: envInt('PASSWORD_HISTORY_COUNT', 5),
+  maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 0)
+});
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Rules that need nothing from the database; returns every problem found
+const checkPasswordRules = (password, username) => {
+  const { minLength } = passwordPolicy();
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < minLength) {
+    problems.push(`Password must be at least ${minLength} characters`);
+  } else if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    problems.push('Password must not contain the username');
+  }
+
+  return problems;
+};
+
+// Reject a new password that breaks the policy. Pass `user` for an existing
+// account so its current and recent passwords are checked for reuse.
+const assertPasswordAllowed = async (db, { password, username, user = null }) => {
+  const { historyCount } = passwordPolicy();
+  const problems = checkPasswordRules(password, user ? user.username : username);
+
+  if (problems.length === 0 && user && historyCount > 0) {
+    const history = await db.passwordHistory.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' },
+      take: historyCount - 1
+    });
+
+    for (const hash of [user.password, ...history.map(entry => entry.passwordHash)]) {
+      if (await bcrypt.compare(password, hash)) {
+        problems.push(`Password must not match any of your last ${historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new HttpError(400, problems.join('; '));
+  }
+};
+
+// Replace a user's password, keeping the old hash for the reuse check
+const setPassword = async (tx, user, password, { mustChangePassword = false } = {}) => {
+  const { historyCount } = passwordPolicy();
+
+  await tx.passwordHistory.create({
+    data: { userId: user.id, passwordHash: user.password }
+  });
+
+  const stale = await tx.passwordHistory.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'desc' },
+    skip: Math.max(historyCount - 1, 0),
+    select: { id: true }
+  });
+
+  if (stale.length > 0) {
+    await tx.passwordHistory.deleteMany({
+      where: { id: { in: stale.map(entry => entry.id) } }
+    });
+  }
+
+  return tx.user.update({
+    where: { id: user.id },
+    data: {
+      password: await hashPassword(password),
+      mustChangePassword,
+      passwordChangedAt: new Date()
+    }
+  });
+};
+
+// Whether the user has to pick a new password before doing anything else
+const passwordChangeRequired = (user) => {
+  if (user.mustChangePassword) return true;
+
+  const { maxAgeDays } = passwordPolicy();
+  return maxAgeDays > 0 && Date.now() - new Date(user.passwordChangedAt).getTime() > maxAgeDays * DAY_MS;
+};
+
+// A random password long enough for the policy, handed out by admin resets
+const generateTemporaryPassword = () => {
+  const length = Math.max(12, passwordPolicy().minLength);
+  return crypto.randomBytes(length).toString('base64url').slice(0, length);
+};
+
+module.exports = {
+  hashPassword,
+  assertPasswordAllowed,
+  setPassword,
+  passwordChangeRequired,
+  generateTemporaryPassword
+};
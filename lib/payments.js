@@ -0,0 +1,59 @@
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CHEQUE'];
+const PAYMENT_STATUSES = ['UNPAID', 'PARTIALLY_PAID', 'PAID'];
+
+// Amounts are in ETB; anything under a cent is treated as settled
+const EPSILON = 0.005;
+
+const AGEING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '61-90', maxDays: 90 },
+  { key: '90+', maxDays: Infinity }
+];
+
+// Nothing is owed on an order returned in full, so it counts as settled
+const derivePaymentStatus = (totalAmount, amountPaid) => {
+  if (totalAmount <= EPSILON) return 'PAID';
+  if (amountPaid <= EPSILON) return 'UNPAID';
+  if (amountPaid >= totalAmount - EPSILON) return 'PAID';
+  return 'PARTIALLY_PAID';
+};
+
+// Recompute an order's paid amount and status from its payment records,
+// leaving out voided ones
+const refreshOrderPayment = async (tx, orderId) => {
+  const order = await tx.order.findUnique({ where: { id: orderId } });
+  const { _sum, _max } = await tx.payment.aggregate({
+    where: { orderId, voidedAt: null },
+    _sum: { amount: true },
+    _max: { paidAt: true }
+  });
+  const amountPaid = _sum.amount || 0;
+  const paymentStatus = derivePaymentStatus(order.totalAmount, amountPaid);
+
+  return tx.order.update({
+    where: { id: orderId },
+    data: {
+      amountPaid,
+      paymentStatus,
+      // Settled by the latest payment, or now when a return cleared the
+      // balance without one; commission is earned from this date
+      paidAt: paymentStatus === 'PAID' ? (_max.paidAt || order.paidAt || new Date()) : null
+    }
+  });
+};
+
+const ageingBucket = (days) => AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  EPSILON,
+  AGEING_BUCKETS,
+  derivePaymentStatus,
+  refreshOrderPayment,
+  ageingBucket,
+  emptyBuckets
+};
@@ -0,0 +1,97 @@
+const { prisma } = require('./prisma');
+
+const ROLES = ['ADMIN', 'MANAGER', 'STORE_KEEPER', 'SALES_REPRESENTATIVE'];
+
+// Every permission the API checks, with the roles that hold it out of the box.
+// The defaults are seeded into role_permissions by the migration; after that
+// the database is the source of truth.
+const PERMISSIONS = {
+  'audit.view': { description: 'View the audit log', roles: ['ADMIN'] },
+  'commission.manage': { description: 'Set up commission rules', roles: ['ADMIN'] },
+  'commission.view_all': { description: 'View every sales rep\'s commission statement', roles: ['ADMIN'] },
+  'customer.update': { description: 'Edit customers', roles: ['ADMIN', 'MANAGER'] },
+  'customer.merge': { description: 'Find and merge duplicate customers', roles: ['ADMIN', 'MANAGER'] },
+  'customer.prices.manage': { description: 'Set customer-specific prices', roles: ['MANAGER'] },
+  'location.manage': { description: 'Create and edit locations', roles: ['ADMIN', 'MANAGER'] },
+  'order.create': { description: 'Place orders', roles: ['SALES_REPRESENTATIVE'] },
+  'order.update': { description: 'Edit own pending orders', roles: ['SALES_REPRESENTATIVE'] },
+  'order.price_approve': { description: 'Approve below-floor order prices', roles: ['MANAGER'] },
+  'order.approve': { description: 'Approve orders and pick stock', roles: ['STORE_KEEPER'] },
+  'order.reject': { description: 'Reject orders', roles: ['STORE_KEEPER'] },
+  'order.deliver': { description: 'Mark orders delivered', roles: ['STORE_KEEPER'] },
+  'order.cancel': { description: 'Cancel pending orders', roles: ['SALES_REPRESENTATIVE', 'MANAGER', 'ADMIN'] },
+  'order.cancel_approved': { description: 'Cancel approved orders and restock them', roles: ['MANAGER', 'ADMIN'] },
+  'order.return': { description: 'Record customer returns', roles: ['STORE_KEEPER', 'MANAGER'] },
+  'payment.record': { description: 'Record customer payments against orders', roles: ['ADMIN', 'MANAGER', 'SALES_REPRESENTATIVE'] },
+  'payment.void': { description: 'Void payments recorded by mistake', roles: ['ADMIN', 'MANAGER'] },
+  'permission.manage': { description: 'View and edit the permission matrix', roles: ['ADMIN'] },
+  'price_list.manage': { description: 'Create and edit price lists', roles: ['MANAGER'] },
+  'purchase_order.view': { description: 'View purchase orders', roles: ['ADMIN', 'MANAGER', 'STORE_KEEPER'] },
+  'purchase_order.manage': { description: 'Create, edit and place purchase orders', roles: ['MANAGER'] },
+  'purchase_order.receive': { description: 'Receive goods against purchase orders', roles: ['MANAGER', 'STORE_KEEPER'] },
+  'receivable.view': { description: 'View receivables', roles: ['ADMIN', 'MANAGER', 'SALES_REPRESENTATIVE'] },
+  'report.sales.view': { description: 'View the sales summary', roles: ['ADMIN'] },
+  'stock.create': { description: 'Add stock items', roles: ['MANAGER'] },
+  'stock.import': { description: 'Import stock from CSV', roles: ['MANAGER'] },
+  'stock.export': { description: 'Export stock to CSV', roles: ['ADMIN', 'MANAGER'] },
+  'stock.archive': { description: 'Archive and restore stock items', roles: ['ADMIN', 'MANAGER'] },
+  'stock.adjust': { description: 'Edit stock items and adjust quantities', roles: ['MANAGER'] },
+  'stock.movements.view': { description: 'View stock movement history', roles: ['ADMIN', 'MANAGER', 'STORE_KEEPER'] },
+  'stock.replenishment.view': { description: 'View reorder suggestions', roles: ['ADMIN', 'MANAGER'] },
+  'stock_take.view': { description: 'View stock takes and their variance reports', roles: ['ADMIN', 'MANAGER', 'STORE_KEEPER'] },
+  'stock_take.count': { description: 'Enter counted quantities on stock takes', roles: ['MANAGER', 'STORE_KEEPER'] },
+  'stock_take.manage': { description: 'Start, finalise and cancel stock takes', roles: ['MANAGER'] },
+  'stock_transfer.view': { description: 'View stock transfers', roles: ['ADMIN', 'MANAGER', 'STORE_KEEPER'] },
+  'stock_transfer.manage': { description: 'Dispatch, receive and cancel stock transfers', roles: ['MANAGER', 'STORE_KEEPER'] },
+  'supplier.view': { description: 'View suppliers and what is owed to them', roles: ['ADMIN', 'MANAGER'] },
+  'supplier.manage': { description: 'Create and edit suppliers', roles: ['MANAGER'] },
+  'user.view': { description: 'View users, sessions and login history', roles: ['ADMIN'] },
+  'user.manage': { description: 'Create, activate, unlock and reset users and end their sessions', roles: ['ADMIN'] }
+};
+
+// Admins always keep this one so the matrix can't lock everybody out of it
+const PROTECTED_GRANTS = [{ role: 'ADMIN', permission: 'permission.manage' }];
+
+const isProtectedGrant = (role, permission) => {
+  return PROTECTED_GRANTS.some(grant => grant.role === role && grant.permission === permission);
+};
+
+const defaultMatrix = () => {
+  const matrix = new Map(ROLES.map(role => [role, new Set()]));
+
+  Object.entries(PERMISSIONS).forEach(([permission, { roles }]) => {
+    roles.forEach(role => matrix.get(role).add(permission));
+  });
+
+  return matrix;
+};
+
+// Checked on every request, so held in memory and reloaded from the database
+// periodically and after each edit. Starts from the defaults until the first load.
+let matrix = defaultMatrix();
+
+const loadPermissions = async () => {
+  const grants = await prisma.rolePermission.findMany();
+  const loaded = new Map(ROLES.map(role => [role, new Set()]));
+
+  grants.forEach(grant => loaded.get(grant.role).add(grant.permission));
+  PROTECTED_GRANTS.forEach(grant => loaded.get(grant.role).add(grant.permission));
+
+  matrix = loaded;
+};
+
+const hasPermission = (role, permission) => {
+  const granted = matrix.get(role);
+  return Boolean(granted && granted.has(permission));
+};
+
+const permissionsForRole = (role) => Array.from(matrix.get(role) || []).sort();
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isProtectedGrant,
+  loadPermissions,
+  hasPermission,
+  permissionsForRole
+};
@@ -0,0 +1,67 @@
+const { currentUnitCost } = require('./costing');
+
+// How far below the list price a rep may go when the list entry has no
+// explicit minimum price
+const floorDiscountPercent = () => {
+  const value = parseFloat(process.env.PRICE_FLOOR_DISCOUNT_PERCENT);
+  return isNaN(value) ? 10 : value;
+};
+
+// The price a customer is entitled to for an item, in order of precedence:
+// their own negotiated price, their price list, the default price list, and
+// finally the item's selling price. Returns null when nothing is set.
+const resolveListPrice = async (db, stockItem, customer = null) => {
+  if (customer) {
+    const override = await db.customerPrice.findUnique({
+      where: {
+        customerId_stockItemId: { customerId: customer.id, stockItemId: stockItem.id }
+      }
+    });
+
+    if (override) {
+      return { price: override.price, minPrice: null, source: 'customer' };
+    }
+  }
+
+  const priceListIds = [];
+  if (customer && customer.priceListId) priceListIds.push(customer.priceListId);
+
+  const defaultList = await db.priceList.findFirst({
+    where: { isDefault: true, isActive: true }
+  });
+  if (defaultList) priceListIds.push(defaultList.id);
+
+  for (const priceListId of priceListIds) {
+    const entry = await db.priceListItem.findFirst({
+      where: {
+        priceListId,
+        stockItemId: stockItem.id,
+        priceList: { isActive: true }
+      }
+    });
+
+    if (entry) {
+      return { price: entry.price, minPrice: entry.minPrice, source: 'priceList', priceListId };
+    }
+  }
+
+  if (stockItem.sellingPrice !== null && stockItem.sellingPrice !== undefined) {
+    return { price: stockItem.sellingPrice, minPrice: null, source: 'item' };
+  }
+
+  return null;
+};
+
+const priceFloor = (listPrice) => {
+  if (listPrice.minPrice !== null && listPrice.minPrice !== undefined) return listPrice.minPrice;
+  return listPrice.price * (1 - floorDiscountPercent() / 100);
+};
+
+// Flag a line whose price needs a manager's sign-off, or null if it is fine
+const priceFlagFor = (unitPrice, listPrice, stockItem) => {
+  if (unitPrice < currentUnitCost(stockItem)) return 'BELOW_COST';
+  if (listPrice && unitPrice < priceFloor(listPrice)) return 'BELOW_FLOOR';
+  return null;
+};
+
+module.exports = { resolveListPrice, priceFloor, priceFlagFor };
@@ -0,0 +1,188 @@
+const { prisma } = require('./prisma');
+const { SOLD_STATUSES } = require('./orderStateMachine');
+const { publishEvent } = require('./events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_PURCHASE_STATUSES = ['ORDERED', 'PARTIALLY_RECEIVED'];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Used for items without their own reorder point, quantity or lead time
+const replenishmentSettings = () => ({
+  salesWindowDays: Math.max(envInt('REORDER_SALES_WINDOW_DAYS', 90), 1),
+  leadTimeDays: envInt('REORDER_LEAD_TIME_DAYS', 14),
+  safetyDays: envInt('REORDER_SAFETY_DAYS', 7),
+  coverDays: envInt('REORDER_COVER_DAYS', 30)
+});
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Units sold per item over the window, net of returns
+const recentSales = async (db, stockItemIds, since) => {
+  const rows = await db.orderItem.groupBy({
+    by: ['stockItemId'],
+    where: {
+      stockItemId: { in: stockItemIds },
+      order: {
+        status: { in: SOLD_STATUSES },
+        approvedAt: { gte: since }
+      }
+    },
+    _sum: { quantity: true, returnedQuantity: true }
+  });
+
+  return new Map(rows.map(row => [row.stockItemId, row._sum.quantity - row._sum.returnedQuantity]));
+};
+
+// Average days from placing to fully receiving purchase orders over the last year
+const observedLeadTimes = async (db, stockItemIds) => {
+  const purchaseOrders = await db.purchaseOrder.findMany({
+    where: {
+      status: 'RECEIVED',
+      orderedAt: { not: null },
+      receivedAt: { gte: new Date(Date.now() - 365 * DAY_MS) },
+      items: { some: { stockItemId: { in: stockItemIds } } }
+    },
+    select: {
+      orderedAt: true,
+      receivedAt: true,
+      items: { select: { stockItemId: true } }
+    }
+  });
+
+  const samples = new Map();
+  purchaseOrders.forEach(purchaseOrder => {
+    const days = (purchaseOrder.receivedAt - purchaseOrder.orderedAt) / DAY_MS;
+    purchaseOrder.items.forEach(item => {
+      if (!samples.has(item.stockItemId)) samples.set(item.stockItemId, []);
+      samples.get(item.stockItemId).push(days);
+    });
+  });
+
+  return new Map(Array.from(samples, ([stockItemId, days]) => [
+    stockItemId,
+    Math.ceil(days.reduce((sum, value) => sum + value, 0) / days.length)
+  ]));
+};
+
+// Units ordered from suppliers and not yet received
+const openPurchaseQuantities = async (db, stockItemIds) => {
+  const items = await db.purchaseOrderItem.findMany({
+    where: {
+      stockItemId: { in: stockItemIds },
+      purchaseOrder: { status: { in: OPEN_PURCHASE_STATUSES } }
+    },
+    select: { stockItemId: true, quantityOrdered: true, quantityReceived: true }
+  });
+
+  const totals = new Map();
+  items.forEach(item => {
+    const outstanding = Math.max(item.quantityOrdered - item.quantityReceived, 0);
+    totals.set(item.stockItemId, (totals.get(item.stockItemId) || 0) + outstanding);
+  });
+
+  return totals;
+};
+
+// Reorder position of every item matching `where`. Reorder points and
+// quantities set on the item win; otherwise they are worked out from sales
+// velocity: the point covers lead time plus safety days of sales, the
+// quantity covers REORDER_COVER_DAYS. An item needs reordering once what is
+// available plus what is already on order falls to its reorder point, and the
+// suggestion tops that back up to the reorder point plus the reorder quantity.
+const planReplenishment = async (where = {}, db = prisma) => {
+  const settings = replenishmentSettings();
+  const stockItems = await db.stockItem.findMany({ where, orderBy: { name: 'asc' } });
+  const ids = stockItems.map(item => item.id);
+  const since = new Date(Date.now() - settings.salesWindowDays * DAY_MS);
+
+  const [sales, leadTimes, onOrder] = await Promise.all([
+    recentSales(db, ids, since),
+    observedLeadTimes(db, ids),
+    openPurchaseQuantities(db, ids)
+  ]);
+
+  const items = stockItems.map(item => {
+    const dailySales = (sales.get(item.id) || 0) / settings.salesWindowDays;
+    const availableQuantity = item.quantity - item.reservedQuantity;
+    const onOrderQuantity = onOrder.get(item.id) || 0;
+    const position = availableQuantity + onOrderQuantity;
+
+    let leadTimeDays = settings.leadTimeDays;
+    let leadTimeSource = 'DEFAULT';
+    if (item.leadTimeDays !== null) {
+      leadTimeDays = item.leadTimeDays;
+      leadTimeSource = 'ITEM';
+    } else if (leadTimes.has(item.id)) {
+      leadTimeDays = leadTimes.get(item.id);
+      leadTimeSource = 'PURCHASE_HISTORY';
+    }
+
+    const reorderPoint = item.reorderPoint !== null
+      ? item.reorderPoint
+      : Math.ceil(dailySales * (leadTimeDays + settings.safetyDays));
+    const reorderQuantity = item.reorderQuantity !== null
+      ? item.reorderQuantity
+      : Math.ceil(dailySales * settings.coverDays);
+    const belowReorderPoint = reorderPoint > 0 && position <= reorderPoint;
+
+    return {
+      stockItemId: item.id,
+      name: item.name,
+      quantity: item.quantity,
+      availableQuantity,
+      onOrderQuantity,
+      dailySales: round(dailySales, 2),
+      daysOfCover: dailySales > 0 ? round(Math.max(availableQuantity, 0) / dailySales, 1) : null,
+      leadTimeDays,
+      leadTimeSource,
+      reorderPoint,
+      reorderPointSource: item.reorderPoint !== null ? 'ITEM' : 'CALCULATED',
+      reorderQuantity,
+      reorderQuantitySource: item.reorderQuantity !== null ? 'ITEM' : 'CALCULATED',
+      belowReorderPoint,
+      suggestedQuantity: belowReorderPoint ? reorderPoint + reorderQuantity - position : 0
+    };
+  });
+
+  return { settings, items };
+};
+
+// Ids of items in the range at or below their reorder point, for low-stock
+// filters and counts
+const belowReorderPointIds = async (db = prisma) => {
+  const { items } = await planReplenishment({ archivedAt: null }, db);
+  return items.filter(item => item.belowReorderPoint).map(item => item.stockItemId);
+};
+
+// Publish stock.low when taking `drop` units off an item's available
+// quantity has just brought it to its reorder point. Call after the change,
+// inside the same transaction. Runs while the item's row is locked, so it only
+// reads that row: items without a reorder point of their own are left to the
+// replenishment report, which works theirs out from sales.
+const notifyReorderCrossing = async (tx, stockItemId, drop) => {
+  if (drop <= 0) return;
+
+  const item = await tx.stockItem.findUnique({ where: { id: stockItemId } });
+  if (!item || item.archivedAt || !(item.reorderPoint > 0)) return;
+
+  const availableQuantity = item.quantity - item.reservedQuantity;
+  if (availableQuantity > item.reorderPoint || availableQuantity + drop <= item.reorderPoint) return;
+
+  await publishEvent(tx, {
+    type: 'stock.low',
+    permission: 'stock.replenishment.view',
+    payload: {
+      stockItemId,
+      name: item.name,
+      availableQuantity,
+      reorderPoint: item.reorderPoint,
+      reorderQuantity: item.reorderQuantity
+    }
+  });
+};
+
+module.exports = { planReplenishment, belowReorderPointIds, notifyReorderCrossing };
@@ -0,0 +1,92 @@
+const { prisma } = require('./prisma');
+const { HttpError } = require('./errors');
+const { notifyReorderCrossing } = require('./replenishment');
+
+// How long a pending order holds its stock before it is handed back
+const reservationTtlMs = () => (parseFloat(process.env.RESERVATION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+// Hold stock for a pending order. The availability check and the increment
+// are one conditional UPDATE, so two reps can't both take the last sheets.
+// It also refuses archived items: the UPDATE waits for an archive holding the
+// row lock, so an order can't slip onto an item as it is being archived.
+const reserveStock = async (tx, { orderId, stockItemId, quantity }) => {
+  const reserved = await tx.$executeRaw`
+    UPDATE "stock_items"
+    SET "reservedQuantity" = "reservedQuantity" + ${quantity},
+        "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${stockItemId}
+      AND "archivedAt" IS NULL
+      AND "quantity" - "reservedQuantity" >= ${quantity}
+  `;
+
+  if (reserved === 0) {
+    const item = await tx.stockItem.findUnique({ where: { id: stockItemId } });
+    if (item && item.archivedAt) {
+      throw new HttpError(400, `${item.name} is archived and can't be ordered`);
+    }
+    throw new HttpError(400, `Insufficient stock for ${item ? item.name : stockItemId}`);
+  }
+
+  await notifyReorderCrossing(tx, stockItemId, quantity);
+
+  return tx.stockReservation.create({
+    data: {
+      orderId,
+      stockItemId,
+      quantity,
+      expiresAt: new Date(Date.now() + reservationTtlMs())
+    }
+  });
+};
+
+// Close an order's active reservations and take them off the reserved totals.
+// Returns the quantity that was still held, per stock item. Rows that expiry
+// already claimed are skipped, so nothing is released twice.
+const closeOrderReservations = async (tx, orderId, status) => {
+  const rows = await tx.$queryRaw`
+    UPDATE "stock_reservations"
+    SET "status" = ${status}::"ReservationStatus",
+        "releasedAt" = CURRENT_TIMESTAMP
+    WHERE "orderId" = ${orderId}
+      AND "status" = 'ACTIVE'
+    RETURNING "stockItemId", "quantity"
+  `;
+
+  const held = new Map();
+  rows.forEach(row => held.set(row.stockItemId, (held.get(row.stockItemId) || 0) + row.quantity));
+
+  // Consumed reservations are taken off by the sale itself (see consumeStock)
+  if (status !== 'CONSUMED') {
+    for (const [stockItemId, quantity] of held) {
+      await tx.stockItem.update({
+        where: { id: stockItemId },
+        data: { reservedQuantity: { decrement: quantity } }
+      });
+    }
+  }
+
+  return held;
+};
+
+// Expire overdue reservations in one statement so it is safe to run from
+// several places (timer, list endpoints) at once
+const releaseExpiredReservations = () => {
+  return prisma.$executeRaw`
+    WITH expired AS (
+      UPDATE "stock_reservations"
+      SET "status" = 'EXPIRED', "releasedAt" = CURRENT_TIMESTAMP
+      WHERE "status" = 'ACTIVE' AND "expiresAt" <= CURRENT_TIMESTAMP
+      RETURNING "stockItemId", "quantity"
+    ), totals AS (
+      SELECT "stockItemId", SUM("quantity") AS "quantity"
+      FROM expired
+      GROUP BY "stockItemId"
+    )
+    UPDATE "stock_items" s
+    SET "reservedQuantity" = s."reservedQuantity" - totals."quantity"
+    FROM totals
+    WHERE s."id" = totals."stockItemId"
+  `;
+};
+
+module.exports = { reserveStock, closeOrderReservations, releaseExpiredReservations };
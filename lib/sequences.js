@@ -0,0 +1,28 @@
+const { businessYear } = require('./businessTime');
+
+// Prefixes are configurable; the counters are keyed by sequence name so a
+// prefix change carries on from the same number.
+const SEQUENCE_PREFIXES = {
+  order: () => process.env.ORDER_NUMBER_PREFIX || 'SO',
+  invoice: () => process.env.INVOICE_NUMBER_PREFIX || 'INV'
+};
+
+// Take the next number in a yearly sequence, e.g. SO-2026-000123.
+// Call it inside the transaction that stores the number: the upsert keeps the
+// counter row locked until commit and a rollback hands the number back, so
+// concurrent requests queue up and the sequence has no gaps.
+const nextDocumentNumber = async (tx, name, date = new Date()) => {
+  const year = businessYear(date);
+
+  const [row] = await tx.$queryRaw`
+    INSERT INTO "document_sequences" ("name", "year", "lastValue", "updatedAt")
+    VALUES (${name}, ${year}, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT ("name", "year")
+    DO UPDATE SET "lastValue" = "document_sequences"."lastValue" + 1, "updatedAt" = CURRENT_TIMESTAMP
+    RETURNING "lastValue"
+  `;
+
+  return `${SEQUENCE_PREFIXES[name]()}-${year}-${String(row.lastValue).padStart(6, '0')}`;
+};
+
+module.exports = { nextDocumentNumber };
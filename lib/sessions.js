@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('./prisma');
+const { HttpError } = require('./errors');
+const { passwordChangeRequired } = require('./passwords');
+
+const accessTokenTtlSeconds = () => (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60;
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Sessions revoked while their access tokens may still be valid. Access tokens
+// are checked against this instead of the database, so a revocation applies
+// at once on this process and within one access token lifetime elsewhere.
+const revokedSessions = new Map();
+
+const rememberRevoked = (sessionId, revokedAt = new Date()) => {
+  revokedSessions.set(sessionId, revokedAt.getTime() + accessTokenTtlSeconds() * 1000);
+};
+
+const isSessionRevoked = (sessionId) => {
+  const until = revokedSessions.get(sessionId);
+  if (until === undefined) return false;
+
+  if (until < Date.now()) {
+    revokedSessions.delete(sessionId);
+    return false;
+  }
+
+  return true;
+};
+
+// Rebuild the revocation list after a restart
+const loadRecentRevocations = async () => {
+  const since = new Date(Date.now() - accessTokenTtlSeconds() * 1000);
+  const sessions = await prisma.session.findMany({
+    where: { revokedAt: { gte: since } },
+    select: { id: true, revokedAt: true }
+  });
+
+  sessions.forEach(session => rememberRevoked(session.id, session.revokedAt));
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `pwc` marks a token that may only be used to change the password
+const issueAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role, sid: sessionId, pwc: passwordChangeRequired(user) },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTtlSeconds() }
+);
+
+const createRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await db.refreshToken.create({
+    data: { tokenHash: hashToken(refreshToken), sessionId }
+  });
+
+  return refreshToken;
+};
+
+const tokenResponse = (user, sessionId, refreshToken) => ({
+  token: issueAccessToken(user, sessionId),
+  refreshToken,
+  expiresIn: accessTokenTtlSeconds()
+});
+
+// Start a session for a user who has just proven their password
+const startSession = async (user, { userAgent, ipAddress }) => {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userAgent,
+      ipAddress,
+      expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+    }
+  });
+
+  return tokenResponse(user, session.id, await createRefreshToken(prisma, session.id));
+};
+
+const revokeSession = async (db, sessionId, reason) => {
+  const revokedAt = new Date();
+  const { count } = await db.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt, revokedReason: reason }
+  });
+
+  if (count > 0) rememberRevoked(sessionId, revokedAt);
+  return count;
+};
+
+const revokeUserSessions = async (db, userId, reason) => {
+  const sessions = await db.session.findMany({
+    where: { userId, revokedAt: null },
+    select: { id: true }
+  });
+
+  for (const session of sessions) {
+    await revokeSession(db, session.id, reason);
+  }
+
+  return sessions.length;
+};
+
+// Exchange a refresh token for a new pair. A token that was already used
+// means it has been copied, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      session: {
+        include: { user: true }
+      }
+    }
+  });
+
+  if (!stored) {
+    throw new HttpError(401, 'Invalid refresh token');
+  }
+
+  const { session } = stored;
+
+  if (stored.usedAt) {
+    await revokeSession(prisma, session.id, 'REFRESH_TOKEN_REUSED');
+    throw new HttpError(401, 'Refresh token has already been used; please sign in again');
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw new HttpError(401, 'Session has ended; please sign in again');
+  }
+
+  if (!session.user.isActive) {
+    await revokeSession(prisma, session.id, 'USER_DEACTIVATED');
+    throw new HttpError(401, 'Session has ended; please sign in again');
+  }
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Two refreshes racing with the same token: only one gets to use it
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+      }
+    });
+
+    return tokenResponse(session.user, session.id, await createRefreshToken(tx, session.id));
+  });
+
+  // The loser of the race presented a token that was already used: that is
+  // reuse too, so revoke the session outside the rolled-back transaction
+  if (!rotated) {
+    await revokeSession(prisma, session.id, 'REFRESH_TOKEN_REUSED');
+    throw new HttpError(401, 'Refresh token has already been used; please sign in again');
+  }
+
+  return rotated;
+};
+
+// Look up the session a refresh token belongs to, used or not
+const findSessionByRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true }
+  });
+
+  return stored ? stored.session : null;
+};
+
+module.exports = {
+  isSessionRevoked,
+  loadRecentRevocations,
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+};
@@ -0,0 +1,108 @@
+// Validation and diffing for the stock CSV import. Nothing here touches the
+// database, so a dry run and a real run produce exactly the same plan.
+
+const IMPORT_COLUMNS = ['name', 'quantity', 'buyingPrice', 'sellingPrice'];
+const REQUIRED_COLUMNS = ['name', 'quantity', 'buyingPrice'];
+
+// Spreadsheets tend to change case and spacing; match names loosely
+const nameKey = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const parseNumber = (value) => {
+  const text = String(value).trim().replace(/,/g, '');
+  return text === '' ? NaN : Number(text);
+};
+
+// Map the header row to column positions, case-insensitively
+const readHeader = (header) => {
+  const positions = {};
+  header.forEach((cell, index) => {
+    const column = IMPORT_COLUMNS.find(name => name.toLowerCase() === cell.trim().toLowerCase());
+    if (column) positions[column] = index;
+  });
+  return positions;
+};
+
+// Build the import plan for parsed CSV rows (header first) against the
+// current catalogue. Row numbers are 1-based spreadsheet rows.
+const planStockImport = (rows, existingItems) => {
+  if (rows.length === 0) {
+    return { errors: [{ row: 1, errors: ['File is empty'] }], plan: [] };
+  }
+
+  const positions = readHeader(rows[0]);
+  const missing = REQUIRED_COLUMNS.filter(column => positions[column] === undefined);
+
+  if (missing.length > 0) {
+    return { errors: [{ row: 1, errors: [`Missing columns: ${missing.join(', ')}`] }], plan: [] };
+  }
+
+  const byExactName = new Map(existingItems.map(item => [item.name, item]));
+  const byNameKey = new Map(existingItems.map(item => [nameKey(item.name), item]));
+  const seen = new Map();
+  const errors = [];
+  const plan = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    const cell = (column) => (positions[column] !== undefined ? cells[positions[column]] || '' : '');
+    const rowErrors = [];
+
+    const name = cell('name').trim();
+    const quantity = parseNumber(cell('quantity'));
+    const buyingPrice = parseNumber(cell('buyingPrice'));
+    const sellingPriceText = cell('sellingPrice').trim();
+    const sellingPrice = sellingPriceText === '' ? null : parseNumber(sellingPriceText);
+
+    if (!name) rowErrors.push('Name is required');
+    if (!Number.isInteger(quantity) || quantity < 0) rowErrors.push('Quantity must be a whole number of zero or more');
+    if (!(buyingPrice >= 0)) rowErrors.push('Buying price must be a number of zero or more');
+    if (sellingPrice !== null && !(sellingPrice >= 0)) rowErrors.push('Selling price must be a number of zero or more');
+
+    if (name) {
+      const key = nameKey(name);
+      if (seen.has(key)) rowErrors.push(`Duplicate of row ${seen.get(key)}`);
+      else seen.set(key, row);
+    }
+
+    const existing = name ? byExactName.get(name) || byNameKey.get(nameKey(name)) : undefined;
+
+    // Names stay taken after archiving, so the row can neither update nor create
+    if (existing && existing.archivedAt) rowErrors.push(`${existing.name} is archived; restore it before importing`);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, name, errors: rowErrors });
+      return;
+    }
+
+    if (!existing) {
+      plan.push({ row, name, action: 'created', values: { quantity, buyingPrice, sellingPrice } });
+      return;
+    }
+
+    // A blank selling price leaves the current one alone
+    const changes = {};
+    if (existing.quantity !== quantity) changes.quantity = { from: existing.quantity, to: quantity };
+    if (existing.buyingPrice !== buyingPrice) changes.buyingPrice = { from: existing.buyingPrice, to: buyingPrice };
+    if (sellingPrice !== null && existing.sellingPrice !== sellingPrice) {
+      changes.sellingPrice = { from: existing.sellingPrice, to: sellingPrice };
+    }
+
+    plan.push({
+      row,
+      name: existing.name,
+      stockItemId: existing.id,
+      action: Object.keys(changes).length > 0 ? 'updated' : 'unchanged',
+      changes
+    });
+  });
+
+  return { errors, plan };
+};
+
+const summarizePlan = (plan) => ({
+  created: plan.filter(entry => entry.action === 'created').length,
+  updated: plan.filter(entry => entry.action === 'updated').length,
+  unchanged: plan.filter(entry => entry.action === 'unchanged').length
+});
+
+module.exports = { IMPORT_COLUMNS, planStockImport, summarizePlan };
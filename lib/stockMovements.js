@@ -0,0 +1,138 @@
+const { weightedAverageCost, currentUnitCost } = require('./costing');
+const { HttpError } = require('./errors');
+const { getDefaultLocation, adjustLocationStock } = require('./locations');
+const { notifyReorderCrossing } = require('./replenishment');
+
+const MOVEMENT_TYPES = ['RECEIPT', 'SALE', 'ADJUSTMENT', 'RETURN', 'CORRECTION', 'TRANSFER_OUT', 'TRANSFER_IN'];
+
+// Write the ledger row for a change already applied to `stockItem`.
+// `totalChange` is how much the item's total moved, when not the whole quantity.
+const recordMovement = (tx, stockItem, { type, quantity, userId, locationId, orderId = null, goodsReceiptId = null, stockTakeId = null, stockTransferId = null, unitCost = null, reason = null }, totalChange = quantity) => {
+  return tx.stockMovement.create({
+    data: {
+      stockItemId: stockItem.id,
+      type,
+      quantity,
+      quantityBefore: stockItem.quantity - totalChange,
+      quantityAfter: stockItem.quantity,
+      unitCost: unitCost !== null ? unitCost : currentUnitCost(stockItem),
+      userId,
+      locationId,
+      orderId,
+      goodsReceiptId,
+      stockTakeId,
+      stockTransferId,
+      reason
+    }
+  });
+};
+
+// Change a stock item's on-hand quantity by a signed amount and append the
+// change to the ledger. Pass the transaction client so the balance and its
+// ledger row are committed together.
+//
+// Inbound movements with a `unitCost` are blended into the item's average
+// cost; every movement is stamped with the unit cost it was valued at.
+// The change lands at `locationId`, or the default location when omitted.
+// A decrease that would leave less on hand than is reserved is refused.
+const applyStockMovement = async (tx, movement) => {
+  const { stockItemId, quantity, unitCost = null } = movement;
+  const locationId = movement.locationId || (await getDefaultLocation(tx)).id;
+
+  await adjustLocationStock(tx, { stockItemId, locationId, quantity });
+
+  // The increment locks the row until commit, so the average below is race-free
+  const stockItem = await tx.stockItem.update({
+    where: { id: stockItemId },
+    data: {
+      quantity: {
+        increment: quantity
+      }
+    }
+  });
+
+  // Units held for orders cannot be adjusted away; release the reservations first
+  if (quantity < 0 && stockItem.quantity < stockItem.reservedQuantity) {
+    throw new HttpError(
+      400,
+      `${stockItem.name} would have ${stockItem.quantity} on hand but ${stockItem.reservedQuantity} reserved for orders`
+    );
+  }
+
+  if (quantity > 0 && unitCost !== null) {
+    await tx.stockItem.update({
+      where: { id: stockItemId },
+      data: {
+        averageCost: weightedAverageCost(stockItem.quantity - quantity, stockItem.averageCost, quantity, unitCost)
+      }
+    });
+  }
+
+  await notifyReorderCrossing(tx, stockItemId, -quantity);
+
+  return recordMovement(tx, stockItem, { ...movement, locationId });
+};
+
+// Take stock out for a sale without ever going below what is free to sell.
+// `releaseReserved` is the part of the quantity already held for this order;
+// the rest must come from unreserved stock. The check and the decrement are a
+// single conditional UPDATE, so concurrent approvals cannot oversell. The
+// location level is checked and decremented the same way.
+const consumeStock = async (tx, { stockItemId, locationId, quantity, releaseReserved = 0, ...movement }) => {
+  await adjustLocationStock(tx, { stockItemId, locationId, quantity: -quantity });
+
+  const [stockItem] = await tx.$queryRaw`
+    UPDATE "stock_items"
+    SET "quantity" = "quantity" - ${quantity},
+        "reservedQuantity" = "reservedQuantity" - ${releaseReserved},
+        "updatedAt" = CURRENT_TIMESTAMP
+    WHERE "id" = ${stockItemId}
+      AND "quantity" - ("reservedQuantity" - ${releaseReserved}) >= ${quantity}
+    RETURNING "id", "name", "quantity", "averageCost", "buyingPrice"
+  `;
+
+  if (!stockItem) {
+    const item = await tx.stockItem.findUnique({ where: { id: stockItemId } });
+    throw new HttpError(400, `Insufficient stock for ${item ? item.name : stockItemId}`);
+  }
+
+  // Reserved units were already off the available quantity
+  await notifyReorderCrossing(tx, stockItemId, quantity - releaseReserved);
+
+  return recordMovement(tx, stockItem, { ...movement, locationId, quantity: -quantity });
+};
+
+// Move stock out of (negative) or into a location for a transfer. The units
+// are still ours while in transit, so the item's total stays the same and
+// only the location level and the ledger change.
+const transferStock = async (tx, { stockItemId, locationId, quantity, ...movement }) => {
+  await adjustLocationStock(tx, { stockItemId, locationId, quantity });
+
+  const stockItem = await tx.stockItem.findUnique({ where: { id: stockItemId } });
+
+  return recordMovement(tx, stockItem, { ...movement, locationId, quantity }, 0);
+};
+
+// Bring a stock item to a counted quantity at one location (the default
+// when omitted), recording the difference.
+// Returns the ledger row, or null when the quantity was already right.
+const setStockQuantity = async (tx, { stockItemId, locationId, quantity, type, userId, reason = null }) => {
+  const location = locationId ? { id: locationId } : await getDefaultLocation(tx);
+  const level = await tx.stockLevel.findUnique({
+    where: { stockItemId_locationId: { stockItemId, locationId: location.id } }
+  });
+  const change = quantity - (level ? level.quantity : 0);
+
+  if (change === 0) return null;
+
+  return applyStockMovement(tx, {
+    stockItemId,
+    locationId: location.id,
+    type,
+    quantity: change,
+    userId,
+    reason
+  });
+};
+
+module.exports = { MOVEMENT_TYPES, applyStockMovement, consumeStock, transferStock, setStockQuantity };
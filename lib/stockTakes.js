@@ -0,0 +1,139 @@
+const { HttpError } = require('./errors');
+const { lockLocationStock } = require('./locations');
+const { applyStockMovement } = require('./stockMovements');
+
+const STOCK_TAKE_STATUSES = ['COUNTING', 'FINALISED', 'CANCELLED'];
+const COUNT_MODES = ['ADD', 'SET'];
+
+// Lock a stock take that is still counting so counts, finalising and
+// cancelling queue up behind each other
+const lockCountingStockTake = async (tx, id) => {
+  await tx.$queryRaw`SELECT "id" FROM "stock_takes" WHERE "id" = ${id} FOR UPDATE`;
+
+  const stockTake = await tx.stockTake.findUnique({
+    where: { id },
+    include: { location: true, lines: true }
+  });
+
+  if (!stockTake) {
+    throw new HttpError(404, 'Stock take not found');
+  }
+
+  if (stockTake.status !== 'COUNTING') {
+    throw new HttpError(400, 'Stock take is no longer counting');
+  }
+
+  return stockTake;
+};
+
+// Record one pass over an item. ADD puts the quantity on top of earlier
+// passes (another shelf or bay); SET replaces them (a recount). The book
+// quantity is read again on every pass, so count an item's passes close
+// together.
+const recordCount = async (tx, stockTake, { stockItemId, quantity, mode, userId }) => {
+  const line = stockTake.lines.find(entry => entry.stockItemId === stockItemId);
+
+  if (!line) {
+    throw new HttpError(400, `Item ${stockItemId} is not part of this stock take`);
+  }
+
+  const bookQuantity = await lockLocationStock(tx, { stockItemId, locationId: stockTake.locationId });
+  const countedQuantity = mode === 'SET' ? quantity : (line.countedQuantity || 0) + quantity;
+
+  const updated = await tx.stockTakeLine.update({
+    where: { id: line.id },
+    data: {
+      countedQuantity,
+      bookQuantity,
+      passes: { increment: 1 },
+      countedAt: new Date(),
+      countedById: userId
+    }
+  });
+
+  // Later counts in the same request build on this one
+  Object.assign(line, updated);
+
+  return updated;
+};
+
+// Variance of each line against its book quantity, valued at the unit cost
+// snapshotted when the stock take started. Uncounted lines have no variance.
+const varianceReport = (lines) => {
+  const rows = lines.map(line => {
+    const counted = line.countedQuantity !== null;
+    const varianceQuantity = counted ? line.countedQuantity - line.bookQuantity : null;
+
+    return {
+      stockItemId: line.stockItemId,
+      name: line.stockItem ? line.stockItem.name : undefined,
+      sku: line.stockItem ? line.stockItem.sku : undefined,
+      expectedQuantity: line.expectedQuantity,
+      bookQuantity: line.bookQuantity,
+      // Sold, received or transferred between the start and the count
+      movedDuringCount: counted ? line.bookQuantity - line.expectedQuantity : null,
+      countedQuantity: line.countedQuantity,
+      passes: line.passes,
+      varianceQuantity,
+      unitCost: line.unitCost,
+      varianceValue: counted ? varianceQuantity * line.unitCost : null
+    };
+  });
+
+  const counted = rows.filter(row => row.countedQuantity !== null);
+  const gains = counted.filter(row => row.varianceQuantity > 0);
+  const losses = counted.filter(row => row.varianceQuantity < 0);
+  const sum = (list, field) => list.reduce((total, row) => total + row[field], 0);
+
+  return {
+    summary: {
+      lines: rows.length,
+      counted: counted.length,
+      uncounted: rows.length - counted.length,
+      withVariance: gains.length + losses.length,
+      gainQuantity: sum(gains, 'varianceQuantity'),
+      lossQuantity: -sum(losses, 'varianceQuantity'),
+      gainValue: sum(gains, 'varianceValue'),
+      lossValue: -sum(losses, 'varianceValue'),
+      netValue: sum(counted, 'varianceValue')
+    },
+    lines: rows
+  };
+};
+
+// Post every counted line's variance as an adjustment at the stock take's
+// location. The variance is applied to the level as it is now rather than
+// overwriting it, so orders approved and stock received after an item was
+// counted still count. With `zeroUncounted`, items nobody counted are taken
+// as counted at zero.
+const postVariances = async (tx, stockTake, { zeroUncounted, userId }) => {
+  for (const line of stockTake.lines) {
+    if (line.countedQuantity === null) {
+      if (!zeroUncounted) continue;
+
+      await recordCount(tx, stockTake, { stockItemId: line.stockItemId, quantity: 0, mode: 'SET', userId });
+    }
+
+    const variance = line.countedQuantity - line.bookQuantity;
+    if (variance === 0) continue;
+
+    await applyStockMovement(tx, {
+      stockItemId: line.stockItemId,
+      locationId: stockTake.locationId,
+      type: 'ADJUSTMENT',
+      quantity: variance,
+      userId,
+      stockTakeId: stockTake.id,
+      reason: `Stock take variance (counted ${line.countedQuantity}, expected ${line.bookQuantity})`
+    });
+  }
+};
+
+module.exports = {
+  STOCK_TAKE_STATUSES,
+  COUNT_MODES,
+  lockCountingStockTake,
+  recordCount,
+  varianceReport,
+  postVariances
+};
@@ -1,39 +1,67 @@
 const jwt = require('jsonwebtoken');
-const { prisma } = require('../lib/prisma');
+const { isSessionRevoked } = require('../lib/sessions');
+const { hasPermission } = require('../lib/permissions');
 
-const authenticateToken = async (req, res, next) => {
+// Access tokens are short-lived and trusted as issued; revoked sessions are
+// caught by the in-memory revocation list rather than a lookup per request
+const verifyAccessToken = ({ allowPasswordChange = false, allowQueryToken = false } = {}) => (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  let token = authHeader && authHeader.split(' ')[1];
+
+  // EventSource can't send headers, so event streams may pass ?access_token=
+  if (!token && allowQueryToken && typeof req.query.access_token === 'string') {
+    token = req.query.access_token;
+  }
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findFirst({
-    where: { id: decoded.userId, isActive: true },
-    select: { id: true, username: true, role: true }
-  });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-
-    req.user = user;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: 'Access token expired' });
+    }
     return res.status(403).json({ error: 'Invalid token' });
   }
+
+  // Tokens from before sessions existed carry no session id
+  if (!decoded.sid || isSessionRevoked(decoded.sid)) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  if (decoded.pwc && !allowPasswordChange) {
+    return res.status(403).json({ error: 'Password change required' });
+  }
+
+  req.user = {
+    id: decoded.userId,
+    username: decoded.username,
+    role: decoded.role,
+    sessionId: decoded.sid,
+    tokenExpiresAt: new Date(decoded.exp * 1000)
+  };
+  next();
 };
 
-const requireRole = (roles) => {
+const authenticateToken = verifyAccessToken();
+
+// For the change-password endpoint, which has to accept users who must change it
+const authenticatePasswordChange = verifyAccessToken({ allowPasswordChange: true });
+
+// For GET /api/events, opened by browsers with EventSource
+const authenticateEventStream = verifyAccessToken({ allowQueryToken: true });
+
+// Roles are mapped to permissions in role_permissions (see lib/permissions.js)
+const requirePermission = (permission) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
     next();
   };
 };
 
-module.exports = { authenticateToken, requireRole };
\ No newline at end of file
+module.exports = { authenticateToken, authenticatePasswordChange, authenticateEventStream, requirePermission };
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "stock_items" ADD COLUMN     "averageCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "totalCost" DOUBLE PRECISION,
+ADD COLUMN     "unitCost" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "stock_movements" ADD COLUMN     "unitCost" DOUBLE PRECISION;
+
+-- Start the weighted average from the current buying price
+UPDATE "stock_items" SET "averageCost" = "buyingPrice";
+
+-- Freeze the cost of already approved orders at today's buying price, the best
+-- information available; from now on it is captured at approval time
+UPDATE "order_items" oi
+SET "unitCost" = si."buyingPrice",
+    "totalCost" = si."buyingPrice" * oi."quantity"
+FROM "stock_items" si, "orders" o
+WHERE si."id" = oi."stockItemId"
+  AND o."id" = oi."orderId"
+  AND o."status" = 'APPROVED';
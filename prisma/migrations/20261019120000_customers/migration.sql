@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "customers" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "phone" TEXT,
+    "contactKey" TEXT,
+    "email" TEXT,
+    "address" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT,
+    "mergedIntoId" TEXT,
+
+    CONSTRAINT "customers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "customers_contactKey_idx" ON "customers"("contactKey");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customers" ADD CONSTRAINT "customers_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customers" ADD CONSTRAINT "customers_mergedIntoId_fkey" FOREIGN KEY ("mergedIntoId") REFERENCES "customers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Group existing orders into customers by contact details.
+-- Mirrors normalizeContact() in lib/customers.js.
+CREATE FUNCTION pg_temp.contact_key(contact TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN length(d) >= 7 THEN
+      CASE
+        WHEN d LIKE '251%' AND length(d) = 12 THEN '0' || substr(d, 4)
+        WHEN length(d) = 9 THEN '0' || d
+        ELSE d
+      END
+    ELSE NULLIF(lower(trim(contact)), '')
+  END
+  FROM (SELECT regexp_replace(coalesce(contact, ''), '\D', '', 'g') AS d) digits
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- One customer per contact key, named after the most recent order
+INSERT INTO "customers" ("id", "name", "phone", "contactKey", "createdAt", "updatedAt")
+SELECT DISTINCT ON (k."key")
+  'mig_' || md5(k."key"), k."customerName", k."customerContact", k."key", k."firstOrderAt", CURRENT_TIMESTAMP
+FROM (
+  SELECT
+    "customerName",
+    "customerContact",
+    "createdAt",
+    pg_temp.contact_key("customerContact") AS "key",
+    min("createdAt") OVER (PARTITION BY pg_temp.contact_key("customerContact")) AS "firstOrderAt"
+  FROM "orders"
+) k
+WHERE k."key" IS NOT NULL
+ORDER BY k."key", k."createdAt" DESC;
+
+UPDATE "orders"
+SET "customerId" = 'mig_' || md5(pg_temp.contact_key("customerContact"))
+WHERE pg_temp.contact_key("customerContact") IS NOT NULL;
@@ -0,0 +1,65 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "invoiceNumber" TEXT,
+ADD COLUMN     "orderNumber" TEXT;
+
+-- CreateTable
+CREATE TABLE "document_sequences" (
+    "name" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "document_sequences_pkey" PRIMARY KEY ("name","year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_orderNumber_key" ON "orders"("orderNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_invoiceNumber_key" ON "orders"("invoiceNumber");
+
+-- Number existing orders in creation order, restarting each business year
+-- (default prefixes; see lib/sequences.js)
+WITH numbered AS (
+  SELECT
+    "id",
+    EXTRACT(YEAR FROM ("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE 'Africa/Addis_Ababa')::INTEGER AS "year",
+    ROW_NUMBER() OVER (
+      PARTITION BY EXTRACT(YEAR FROM ("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE 'Africa/Addis_Ababa')
+      ORDER BY "createdAt", "id"
+    ) AS "value"
+  FROM "orders"
+)
+UPDATE "orders" o
+SET "orderNumber" = 'SO-' || n."year" || '-' || lpad(n."value"::TEXT, 6, '0')
+FROM numbered n
+WHERE n."id" = o."id";
+
+WITH numbered AS (
+  SELECT
+    "id",
+    EXTRACT(YEAR FROM ("approvedAt" AT TIME ZONE 'UTC') AT TIME ZONE 'Africa/Addis_Ababa')::INTEGER AS "year",
+    ROW_NUMBER() OVER (
+      PARTITION BY EXTRACT(YEAR FROM ("approvedAt" AT TIME ZONE 'UTC') AT TIME ZONE 'Africa/Addis_Ababa')
+      ORDER BY "approvedAt", "id"
+    ) AS "value"
+  FROM "orders"
+  WHERE "status" = 'APPROVED' AND "approvedAt" IS NOT NULL
+)
+UPDATE "orders" o
+SET "invoiceNumber" = 'INV-' || n."year" || '-' || lpad(n."value"::TEXT, 6, '0')
+FROM numbered n
+WHERE n."id" = o."id";
+
+-- Continue the sequences after the backfilled numbers
+INSERT INTO "document_sequences" ("name", "year", "lastValue", "updatedAt")
+SELECT 'order', split_part("orderNumber", '-', 2)::INTEGER, COUNT(*), CURRENT_TIMESTAMP
+FROM "orders"
+WHERE "orderNumber" IS NOT NULL
+GROUP BY split_part("orderNumber", '-', 2);
+
+INSERT INTO "document_sequences" ("name", "year", "lastValue", "updatedAt")
+SELECT 'invoice', split_part("invoiceNumber", '-', 2)::INTEGER, COUNT(*), CURRENT_TIMESTAMP
+FROM "orders"
+WHERE "invoiceNumber" IS NOT NULL
+GROUP BY split_part("invoiceNumber", '-', 2);
@@ -0,0 +1,86 @@
+-- CreateEnum
+CREATE TYPE "PriceFlag" AS ENUM ('BELOW_FLOOR', 'BELOW_COST');
+
+-- AlterTable
+ALTER TABLE "customers" ADD COLUMN     "priceListId" TEXT;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN     "listPrice" DOUBLE PRECISION,
+ADD COLUMN     "priceFlag" "PriceFlag";
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "priceApprovedAt" TIMESTAMP(3),
+ADD COLUMN     "priceApprovedById" TEXT,
+ADD COLUMN     "requiresPriceApproval" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "price_lists" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "price_lists_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "price_list_items" (
+    "id" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "minPrice" DOUBLE PRECISION,
+    "priceListId" TEXT NOT NULL,
+    "stockItemId" TEXT NOT NULL,
+
+    CONSTRAINT "price_list_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "customer_prices" (
+    "id" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "stockItemId" TEXT NOT NULL,
+
+    CONSTRAINT "customer_prices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_lists_name_key" ON "price_lists"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "price_list_items_priceListId_stockItemId_key" ON "price_list_items"("priceListId", "stockItemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "customer_prices_customerId_stockItemId_key" ON "customer_prices"("customerId", "stockItemId");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_priceApprovedById_fkey" FOREIGN KEY ("priceApprovedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customers" ADD CONSTRAINT "customers_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "price_lists"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_list_items" ADD CONSTRAINT "price_list_items_priceListId_fkey" FOREIGN KEY ("priceListId") REFERENCES "price_lists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "price_list_items" ADD CONSTRAINT "price_list_items_stockItemId_fkey" FOREIGN KEY ("stockItemId") REFERENCES "stock_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_prices" ADD CONSTRAINT "customer_prices_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "customer_prices" ADD CONSTRAINT "customer_prices_stockItemId_fkey" FOREIGN KEY ("stockItemId") REFERENCES "stock_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Starting price lists; retail is the default, seeded from any existing selling prices
+INSERT INTO "price_lists" ("id", "name", "description", "isDefault", "updatedAt") VALUES
+  ('pricelist_retail', 'Retail', 'Walk-in customers', true, CURRENT_TIMESTAMP),
+  ('pricelist_wholesale', 'Wholesale', 'Resellers buying in bulk', false, CURRENT_TIMESTAMP),
+  ('pricelist_contractor', 'Contractor', 'Trade and contractor accounts', false, CURRENT_TIMESTAMP);
+
+INSERT INTO "price_list_items" ("id", "price", "priceListId", "stockItemId")
+SELECT 'mig_' || md5("id"), "sellingPrice", 'pricelist_retail', "id"
+FROM "stock_items"
+WHERE "sellingPrice" IS NOT NULL;
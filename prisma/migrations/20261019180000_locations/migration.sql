@@ -0,0 +1,128 @@
+-- CreateEnum
+CREATE TYPE "LocationType" AS ENUM ('WAREHOUSE', 'SHOWROOM');
+
+-- CreateEnum
+CREATE TYPE "TransferStatus" AS ENUM ('IN_TRANSIT', 'RECEIVED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "fulfilmentLocationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "stock_movements" ADD COLUMN     "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "locations" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "LocationType" NOT NULL DEFAULT 'WAREHOUSE',
+    "address" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_levels" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "stockItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+
+    CONSTRAINT "stock_levels_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_locations" (
+    "userId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+
+    CONSTRAINT "user_locations_pkey" PRIMARY KEY ("userId","locationId")
+);
+
+-- CreateTable
+CREATE TABLE "stock_transfers" (
+    "id" TEXT NOT NULL,
+    "status" "TransferStatus" NOT NULL DEFAULT 'IN_TRANSIT',
+    "notes" TEXT,
+    "dispatchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "receivedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "fromLocationId" TEXT NOT NULL,
+    "toLocationId" TEXT NOT NULL,
+    "dispatchedById" TEXT NOT NULL,
+    "receivedById" TEXT,
+
+    CONSTRAINT "stock_transfers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_transfer_items" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "transferId" TEXT NOT NULL,
+    "stockItemId" TEXT NOT NULL,
+
+    CONSTRAINT "stock_transfer_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "locations_name_key" ON "locations"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_levels_stockItemId_locationId_key" ON "stock_levels"("stockItemId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "stock_transfers_status_idx" ON "stock_transfers"("status");
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_fulfilmentLocationId_fkey" FOREIGN KEY ("fulfilmentLocationId") REFERENCES "locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_levels" ADD CONSTRAINT "stock_levels_stockItemId_fkey" FOREIGN KEY ("stockItemId") REFERENCES "stock_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_levels" ADD CONSTRAINT "stock_levels_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_locations" ADD CONSTRAINT "user_locations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "user_locations" ADD CONSTRAINT "user_locations_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_fromLocationId_fkey" FOREIGN KEY ("fromLocationId") REFERENCES "locations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "locations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_dispatchedById_fkey" FOREIGN KEY ("dispatchedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer_items" ADD CONSTRAINT "stock_transfer_items_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "stock_transfers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer_items" ADD CONSTRAINT "stock_transfer_items_stockItemId_fkey" FOREIGN KEY ("stockItemId") REFERENCES "stock_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Everything on hand today is in the main warehouse
+INSERT INTO "locations" ("id", "name", "type", "isDefault", "updatedAt") VALUES
+  ('location_main', 'Main warehouse', 'WAREHOUSE', true, CURRENT_TIMESTAMP);
+
+INSERT INTO "stock_levels" ("id", "quantity", "updatedAt", "stockItemId", "locationId")
+SELECT 'mig_' || md5("id"), "quantity", CURRENT_TIMESTAMP, "id", 'location_main'
+FROM "stock_items";
+
+UPDATE "stock_movements" SET "locationId" = 'location_main';
+
+UPDATE "orders" SET "fulfilmentLocationId" = 'location_main'
+WHERE "status" IN ('APPROVED', 'DELIVERED');
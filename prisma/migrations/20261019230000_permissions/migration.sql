@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "role" "UserRole" NOT NULL,
+    "permission" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("role","permission")
+);
+
+-- Seed the matrix with what the hard-coded role checks allowed
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'audit.view'),
+    ('ADMIN', 'customer.update'),
+    ('MANAGER', 'customer.update'),
+    ('ADMIN', 'customer.merge'),
+    ('MANAGER', 'customer.merge'),
+    ('MANAGER', 'customer.prices.manage'),
+    ('ADMIN', 'location.manage'),
+    ('MANAGER', 'location.manage'),
+    ('SALES_REPRESENTATIVE', 'order.create'),
+    ('SALES_REPRESENTATIVE', 'order.update'),
+    ('MANAGER', 'order.price_approve'),
+    ('STORE_KEEPER', 'order.approve'),
+    ('STORE_KEEPER', 'order.reject'),
+    ('STORE_KEEPER', 'order.deliver'),
+    ('SALES_REPRESENTATIVE', 'order.cancel'),
+    ('MANAGER', 'order.cancel'),
+    ('ADMIN', 'order.cancel'),
+    ('MANAGER', 'order.cancel_approved'),
+    ('ADMIN', 'order.cancel_approved'),
+    ('STORE_KEEPER', 'order.return'),
+    ('MANAGER', 'order.return'),
+    ('ADMIN', 'permission.manage'),
+    ('MANAGER', 'price_list.manage'),
+    ('ADMIN', 'purchase_order.view'),
+    ('MANAGER', 'purchase_order.view'),
+    ('STORE_KEEPER', 'purchase_order.view'),
+    ('MANAGER', 'purchase_order.manage'),
+    ('MANAGER', 'purchase_order.receive'),
+    ('STORE_KEEPER', 'purchase_order.receive'),
+    ('ADMIN', 'receivable.view'),
+    ('MANAGER', 'receivable.view'),
+    ('SALES_REPRESENTATIVE', 'receivable.view'),
+    ('ADMIN', 'report.sales.view'),
+    ('MANAGER', 'stock.create'),
+    ('MANAGER', 'stock.import'),
+    ('ADMIN', 'stock.export'),
+    ('MANAGER', 'stock.export'),
+    ('MANAGER', 'stock.adjust'),
+    ('ADMIN', 'stock.movements.view'),
+    ('MANAGER', 'stock.movements.view'),
+    ('STORE_KEEPER', 'stock.movements.view'),
+    ('ADMIN', 'stock_transfer.view'),
+    ('MANAGER', 'stock_transfer.view'),
+    ('STORE_KEEPER', 'stock_transfer.view'),
+    ('MANAGER', 'stock_transfer.manage'),
+    ('STORE_KEEPER', 'stock_transfer.manage'),
+    ('ADMIN', 'supplier.view'),
+    ('MANAGER', 'supplier.view'),
+    ('MANAGER', 'supplier.manage'),
+    ('ADMIN', 'user.view'),
+    ('ADMIN', 'user.manage');
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "stock_items" ADD COLUMN     "leadTimeDays" INTEGER,
+ADD COLUMN     "reorderPoint" INTEGER,
+ADD COLUMN     "reorderQuantity" INTEGER;
+
+-- Default grants for the replenishment report (see lib/permissions.js)
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'stock.replenishment.view'),
+    ('MANAGER', 'stock.replenishment.view');
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "CommissionBasis" AS ENUM ('REVENUE', 'MARGIN');
+
+-- AlterTable
+ALTER TABLE "stock_items" ADD COLUMN     "category" TEXT;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "paidAt" TIMESTAMP(3);
+
+-- Orders already settled were paid by their latest payment
+UPDATE "orders" o
+SET "paidAt" = p."paidAt"
+FROM (
+    SELECT "orderId", MAX("paidAt") AS "paidAt"
+    FROM "payments"
+    GROUP BY "orderId"
+) p
+WHERE p."orderId" = o."id"
+  AND o."paymentStatus" = 'PAID';
+
+-- CreateTable
+CREATE TABLE "commission_rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "basis" "CommissionBasis" NOT NULL DEFAULT 'REVENUE',
+    "rate" DOUBLE PRECISION NOT NULL,
+    "category" TEXT,
+    "minMonthlyRevenue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "commission_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- Default grants for commissions (see lib/permissions.js)
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'commission.manage'),
+    ('ADMIN', 'commission.view_all');
@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "stock_items" ADD COLUMN     "barcode" TEXT,
+ADD COLUMN     "finish" TEXT,
+ADD COLUMN     "material" TEXT,
+ADD COLUMN     "origin" TEXT,
+ADD COLUMN     "sheetSize" TEXT,
+ADD COLUMN     "sku" TEXT,
+ADD COLUMN     "thicknessMm" DOUBLE PRECISION,
+ADD COLUMN     "unitOfMeasure" TEXT NOT NULL DEFAULT 'SHEET';
+
+-- Read the attributes packed into existing names, e.g. "18mm mdf UV (local )".
+-- Same rules as parseItemName in lib/catalogue.js.
+UPDATE "stock_items" SET
+    "material" = CASE
+        WHEN lower("name") ~ '\mmdf\M' THEN 'MDF'
+        WHEN lower("name") ~ '\mchip\s*(wood|board)\M' THEN 'Chipwood'
+        WHEN lower("name") ~ '\mhard\s*board\M' THEN 'Hardboard'
+        WHEN lower("name") ~ '\mblock[\s-]*board\M' THEN 'Block-board'
+        WHEN lower("name") ~ '\mply\s*wood\M' THEN 'Plywood'
+    END,
+    "thicknessMm" = substring(lower("name") from '(\d+(?:\.\d+)?)\s*mm\M')::DOUBLE PRECISION,
+    "finish" = CASE
+        WHEN lower("name") ~ '\muv\M' THEN 'UV'
+        WHEN lower("name") ~ '\mveneer\M' THEN 'Veneer'
+        WHEN lower("name") ~ '\mlaminat' THEN 'Laminated'
+        WHEN lower("name") ~ '\mmelamine\M' THEN 'Melamine'
+        WHEN lower("name") ~ '\mplain\M' THEN 'Plain'
+    END,
+    "origin" = CASE
+        WHEN lower("name") ~ '\mimport' THEN 'Imported'
+        WHEN lower("name") ~ '\mlocal\M' THEN 'Local'
+    END,
+    "sheetSize" = regexp_replace(
+        substring(lower("name") from '\d{3,4}\s*[x*]\s*\d{3,4}'),
+        '\s*[x*]\s*',
+        'x'
+    );
+
+-- Items without a category are grouped by material
+UPDATE "stock_items" SET "category" = "material" WHERE "category" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_items_sku_key" ON "stock_items"("sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_items_barcode_key" ON "stock_items"("barcode");
+
+-- CreateIndex
+CREATE INDEX "stock_items_material_thicknessMm_idx" ON "stock_items"("material", "thicknessMm");
+
+-- CreateIndex
+CREATE INDEX "stock_items_category_idx" ON "stock_items"("category");
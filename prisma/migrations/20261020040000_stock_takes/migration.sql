@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "StockTakeStatus" AS ENUM ('COUNTING', 'FINALISED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "stock_movements" ADD COLUMN     "stockTakeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "stock_takes" (
+    "id" TEXT NOT NULL,
+    "status" "StockTakeStatus" NOT NULL DEFAULT 'COUNTING',
+    "notes" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finalisedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "locationId" TEXT NOT NULL,
+    "startedById" TEXT NOT NULL,
+    "finalisedById" TEXT,
+
+    CONSTRAINT "stock_takes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_take_lines" (
+    "id" TEXT NOT NULL,
+    "expectedQuantity" INTEGER NOT NULL,
+    "unitCost" DOUBLE PRECISION NOT NULL,
+    "countedQuantity" INTEGER,
+    "bookQuantity" INTEGER,
+    "passes" INTEGER NOT NULL DEFAULT 0,
+    "countedAt" TIMESTAMP(3),
+    "stockTakeId" TEXT NOT NULL,
+    "stockItemId" TEXT NOT NULL,
+    "countedById" TEXT,
+
+    CONSTRAINT "stock_take_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_takes_locationId_status_idx" ON "stock_takes"("locationId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_take_lines_stockTakeId_stockItemId_key" ON "stock_take_lines"("stockTakeId", "stockItemId");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_stockTakeId_fkey" FOREIGN KEY ("stockTakeId") REFERENCES "stock_takes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_takes" ADD CONSTRAINT "stock_takes_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "locations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_takes" ADD CONSTRAINT "stock_takes_startedById_fkey" FOREIGN KEY ("startedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_takes" ADD CONSTRAINT "stock_takes_finalisedById_fkey" FOREIGN KEY ("finalisedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_lines" ADD CONSTRAINT "stock_take_lines_stockTakeId_fkey" FOREIGN KEY ("stockTakeId") REFERENCES "stock_takes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_lines" ADD CONSTRAINT "stock_take_lines_stockItemId_fkey" FOREIGN KEY ("stockItemId") REFERENCES "stock_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_lines" ADD CONSTRAINT "stock_take_lines_countedById_fkey" FOREIGN KEY ("countedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Default grants for stock takes (see lib/permissions.js)
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'stock_take.view'),
+    ('MANAGER', 'stock_take.view'),
+    ('STORE_KEEPER', 'stock_take.view'),
+    ('MANAGER', 'stock_take.count'),
+    ('STORE_KEEPER', 'stock_take.count'),
+    ('MANAGER', 'stock_take.manage');
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "stock_items" ADD COLUMN     "archivedAt" TIMESTAMP(3);
+
+-- Default grants for archiving stock items (see lib/permissions.js)
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'stock.archive'),
+    ('MANAGER', 'stock.archive');
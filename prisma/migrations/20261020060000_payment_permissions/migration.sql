@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3),
+ADD COLUMN     "voidedById" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_voidedById_fkey" FOREIGN KEY ("voidedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Orders returned in full with nothing paid are settled
+UPDATE "orders" SET "paymentStatus" = 'PAID', "paidAt" = COALESCE("paidAt", "updatedAt")
+WHERE "totalAmount" <= 0.005 AND "paymentStatus" <> 'PAID'
+  AND "status" IN ('APPROVED', 'DELIVERED');
+
+-- Default grants for recording and voiding payments (see lib/permissions.js)
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+    ('ADMIN', 'payment.record'),
+    ('MANAGER', 'payment.record'),
+    ('SALES_REPRESENTATIVE', 'payment.record'),
+    ('ADMIN', 'payment.void'),
+    ('MANAGER', 'payment.void');
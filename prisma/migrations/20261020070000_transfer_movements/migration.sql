@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'TRANSFER_OUT';
+ALTER TYPE "StockMovementType" ADD VALUE 'TRANSFER_IN';
+
+-- AlterTable
+ALTER TABLE "stock_movements" ADD COLUMN     "stockTransferId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_stockTransferId_fkey" FOREIGN KEY ("stockTransferId") REFERENCES "stock_transfers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
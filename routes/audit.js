@@ -0,0 +1,54 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parsePagination, paginated } = require('../lib/pagination');
+const { parseDateBoundary } = require('../lib/businessTime');
+
+const router = express.Router();
+
+// Query the audit log, newest first (Admin only).
+// Filters: ?actorId=, ?entityType=, ?entityId=, ?action=, ?requestId=, ?from=, ?to=
+router.get('/', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { actorId, entityType, entityId, action, requestId, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const where = {};
+    if (actorId) where.actorId = actorId;
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (requestId) where.requestId = requestId;
+    // "order." matches every order action
+    if (action) where.action = action.endsWith('.') ? { startsWith: action } : action;
+
+    const createdFrom = parseDateBoundary(from, 'start');
+    const createdTo = parseDateBoundary(to, 'end');
+    if (createdFrom || createdTo) {
+      where.createdAt = {};
+      if (createdFrom) where.createdAt.gte = createdFrom;
+      if (createdTo) where.createdAt.lte = createdTo;
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          actor: {
+            select: { id: true, username: true, role: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    res.json(paginated(entries, total, pagination));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,27 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { prisma } = require('../lib/prisma');
+const { HttpError } = require('../lib/errors');
+const { authenticatePasswordChange } = require('../middleware/auth');
+const {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken
+} = require('../lib/sessions');
+const { assertPasswordAllowed, setPassword, passwordChangeRequired } = require('../lib/passwords');
+const { isLocked, recordLoginAttempt, registerFailedLogin, clearLockout } = require('../lib/loginAttempts');
 
 const router = express.Router();
 
-// Login
+// Send the lockout response with a Retry-After hint
+const sendLocked = (res, user) => {
+  res.set('Retry-After', String(Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000)));
+  return res.status(423).json({ error: 'Account is temporarily locked. Try again later.' });
+};
+
+// Login. Every attempt is recorded; too many wrong passwords lock the account.
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -15,30 +31,53 @@ router.post('/login', async (req, res) => {
     }
 
     const user = await prisma.user.findUnique({
-      where: { username, isActive: true }
+      where: { username }
     });
 
-    if (!user) {
+    if (!user || !user.isActive) {
+      await recordLoginAttempt(prisma, req, {
+        username,
+        userId: user ? user.id : null,
+        success: false,
+        reason: user ? 'INACTIVE' : 'UNKNOWN_USER'
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // A locked account doesn't even get its password checked
+    if (isLocked(user)) {
+      await recordLoginAttempt(prisma, req, { username, userId: user.id, success: false, reason: 'LOCKED' });
+      return sendLocked(res, user);
+    }
+
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      const updated = await registerFailedLogin(prisma, user);
+      await recordLoginAttempt(prisma, req, { username, userId: user.id, success: false, reason: 'INVALID_PASSWORD' });
+
+      if (isLocked(updated)) {
+        return sendLocked(res, updated);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (user.failedLoginCount > 0 || user.lockoutCount > 0) {
+      await clearLockout(prisma, user.id);
+    }
+    await recordLoginAttempt(prisma, req, { username, userId: user.id, success: true });
+
+    const tokens = await startSession(user, {
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip
+    });
 
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
-        role: user.role
+        role: user.role,
+        mustChangePassword: passwordChangeRequired(user)
       }
     });
   } catch (error) {
@@ -47,4 +86,95 @@ router.post('/login', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    res.json(await rotateRefreshToken(refreshToken));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End the session a refresh token belongs to. Works with an expired access
+// token, so clients can always sign out.
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await findSessionByRefreshToken(refreshToken);
+
+    if (session) {
+      await revokeSession(prisma, session.id, 'LOGOUT');
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the signed-in user's password. Every session is ended and a fresh
+// one is returned, so stolen refresh tokens stop working.
+router.post('/change-password', authenticatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    await assertPasswordAllowed(prisma, { password: newPassword, user });
+
+    const updated = await prisma.$transaction((tx) => setPassword(tx, user, newPassword));
+
+    await revokeUserSessions(prisma, user.id, 'PASSWORD_CHANGED');
+
+    const tokens = await startSession(updated, {
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      ...tokens,
+      user: {
+        id: updated.id,
+        username: updated.username,
+        role: updated.role,
+        mustChangePassword: false
+      }
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../lib/permissions');
+const { parseDateBoundary } = require('../lib/businessTime');
+const { recordAudit } = require('../lib/audit');
+const { COMMISSION_BASES, currentMonthRange, buildStatement } = require('../lib/commissions');
+
+const router = express.Router();
+
+// Check the fields of a rule being created or changed; returns an error message
+const ruleProblem = ({ basis, rate, minMonthlyRevenue }) => {
+  if (basis !== undefined && !COMMISSION_BASES.includes(basis)) {
+    return 'Basis must be REVENUE or MARGIN';
+  }
+
+  if (rate !== undefined && !(parseFloat(rate) >= 0 && parseFloat(rate) <= 100)) {
+    return 'Rate must be a percentage between 0 and 100';
+  }
+
+  if (minMonthlyRevenue !== undefined && !(parseFloat(minMonthlyRevenue) >= 0)) {
+    return 'Minimum monthly revenue must be a non-negative number';
+  }
+
+  return null;
+};
+
+// ?from=&to= as business days; the current month by default
+const statementRange = (query) => {
+  if (!query.from && !query.to) return currentMonthRange();
+
+  const range = {
+    from: parseDateBoundary(query.from, 'start'),
+    to: parseDateBoundary(query.to, 'end')
+  };
+
+  return range.from && range.to && range.from <= range.to ? range : null;
+};
+
+// Get commission rules (?includeInactive=true for retired ones)
+router.get('/rules', authenticateToken, requirePermission('commission.manage'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.includeInactive !== 'true') where.isActive = true;
+
+    const rules = await prisma.commissionRule.findMany({
+      where,
+      orderBy: [{ category: 'asc' }, { minMonthlyRevenue: 'asc' }]
+    });
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Get commission rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a commission rule.
+// Body: { name, basis: 'REVENUE' | 'MARGIN', rate (percent), category, minMonthlyRevenue }
+router.post('/rules', authenticateToken, requirePermission('commission.manage'), async (req, res) => {
+  try {
+    const { name, basis = 'REVENUE', rate, category, minMonthlyRevenue = 0 } = req.body;
+
+    if (!name || rate === undefined) {
+      return res.status(400).json({ error: 'Name and rate are required' });
+    }
+
+    const problem = ruleProblem({ basis, rate, minMonthlyRevenue });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const created = await tx.commissionRule.create({
+        data: {
+          name,
+          basis,
+          rate: parseFloat(rate),
+          category: category || null,
+          minMonthlyRevenue: parseFloat(minMonthlyRevenue)
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'commission_rule.create',
+        entityType: 'CommissionRule',
+        entityId: created.id,
+        after: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Create commission rule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a commission rule; isActive: false retires it
+router.patch('/rules/:id', authenticateToken, requirePermission('commission.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, basis, rate, category, minMonthlyRevenue, isActive } = req.body;
+
+    const problem = ruleProblem({ basis, rate, minMonthlyRevenue });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const existing = await prisma.commissionRule.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Commission rule not found' });
+    }
+
+    const data = {};
+    if (name !== undefined) data.name = name;
+    if (basis !== undefined) data.basis = basis;
+    if (rate !== undefined) data.rate = parseFloat(rate);
+    if (category !== undefined) data.category = category || null;
+    if (minMonthlyRevenue !== undefined) data.minMonthlyRevenue = parseFloat(minMonthlyRevenue);
+    if (isActive !== undefined) data.isActive = Boolean(isActive);
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const updated = await tx.commissionRule.update({
+        where: { id },
+        data
+      });
+
+      await recordAudit(tx, req, {
+        action: 'commission_rule.update',
+        entityType: 'CommissionRule',
+        entityId: id,
+        before: existing,
+        after: updated
+      });
+
+      return updated;
+    });
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Update commission rule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Statements for every sales rep for a period (?from=&to=)
+router.get('/statements', authenticateToken, requirePermission('commission.view_all'), async (req, res) => {
+  try {
+    const range = statementRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ error: 'A valid from/to range is required' });
+    }
+
+    const salesReps = await prisma.user.findMany({
+      where: { role: 'SALES_REPRESENTATIVE' },
+      select: { id: true, username: true },
+      orderBy: { username: 'asc' }
+    });
+
+    const statements = [];
+    for (const salesRep of salesReps) {
+      statements.push(await buildStatement(prisma, salesRep, range));
+    }
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      totalCommission: statements.reduce((sum, statement) => sum + statement.commission.amount, 0),
+      statements
+    });
+  } catch (error) {
+    console.error('Get commission statements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One sales rep's statement for a period (?from=&to=). Reps can see their own.
+router.get('/statements/:salesRepId', authenticateToken, async (req, res) => {
+  try {
+    const { salesRepId } = req.params;
+
+    if (salesRepId !== req.user.id && !hasPermission(req.user.role, 'commission.view_all')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const range = statementRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({ error: 'A valid from/to range is required' });
+    }
+
+    const salesRep = await prisma.user.findUnique({
+      where: { id: salesRepId },
+      select: { id: true, username: true, role: true }
+    });
+
+    if (!salesRep || salesRep.role !== 'SALES_REPRESENTATIVE') {
+      return res.status(404).json({ error: 'Sales representative not found' });
+    }
+
+    res.json(await buildStatement(prisma, salesRep, range));
+  } catch (error) {
+    console.error('Get commission statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { normalizeContact, findActiveCustomer } = require('../lib/customers');
+const { HttpError } = require('../lib/errors');
+const { SOLD_STATUSES } = require('../lib/orderStateMachine');
+
+const router = express.Router();
+
+// Loose name key for spotting duplicates: case, spacing and punctuation ignored
+const nameKey = (name) => name.toLowerCase().replace(/[^a-z0-9\u1200-\u137f]+/g, ' ').trim();
+
+// Search customers by name or phone
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const where = { mergedIntoId: null };
+
+    if (search) {
+      const contactKey = normalizeContact(search);
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search } }
+      ];
+      if (contactKey) where.OR.push({ contactKey: { contains: contactKey } });
+    }
+
+    const customers = await prisma.customer.findMany({
+      where,
+      orderBy: { name: 'asc' },
+      take: 50
+    });
+
+    res.json(customers);
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get groups of likely duplicate customers (Admin and Manager)
+router.get('/duplicates', authenticateToken, requirePermission('customer.merge'), async (req, res) => {
+  try {
+    const customers = await prisma.customer.findMany({
+      where: { mergedIntoId: null },
+      include: {
+        _count: {
+          select: { orders: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const groups = new Map();
+    const addToGroup = (key, customer) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(customer);
+    };
+
+    customers.forEach(customer => {
+      if (customer.contactKey) addToGroup(`contact:${customer.contactKey}`, customer);
+      addToGroup(`name:${nameKey(customer.name)}`, customer);
+    });
+
+    const duplicates = [...groups.entries()]
+      .filter(([, members]) => members.length > 1)
+      .map(([key, members]) => ({
+        matchedOn: key.startsWith('contact:') ? 'contact' : 'name',
+        customers: members
+      }));
+
+    res.json(duplicates);
+  } catch (error) {
+    console.error('Get duplicate customers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single customer
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const customer = await findActiveCustomer(prisma, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a customer's order and spend history
+router.get('/:id/orders', authenticateToken, async (req, res) => {
+  try {
+    const customer = await findActiveCustomer(prisma, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const where = { customerId: customer.id };
+
+    // Sales reps see only their own orders
+    if (req.user.role === 'SALES_REPRESENTATIVE') {
+      where.salesRepId = req.user.id;
+    }
+
+    const orders = await prisma.order.findMany({
+      where,
+      include: {
+        salesRep: {
+          select: { username: true }
+        },
+        orderItems: {
+          include: {
+            stockItem: {
+              select: { id: true, name: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const approvedOrders = orders.filter(order => SOLD_STATUSES.includes(order.status));
+
+    res.json({
+      customer,
+      summary: {
+        totalOrders: orders.length,
+        approvedOrders: approvedOrders.length,
+        totalSpend: approvedOrders.reduce((sum, order) => sum + order.totalAmount, 0),
+        lastOrderAt: orders.length > 0 ? orders[0].createdAt : null
+      },
+      orders
+    });
+  } catch (error) {
+    console.error('Get customer orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create customer
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, phone, email, address, notes } = req.body;
+
+    if (!name || !phone) {
+      return res.status(400).json({ error: 'Name and phone are required' });
+    }
+
+    const contactKey = normalizeContact(phone);
+
+    const existingCustomer = await prisma.customer.findFirst({
+      where: { contactKey, mergedIntoId: null }
+    });
+
+    if (existingCustomer) {
+      return res.status(409).json({
+        error: 'A customer with this contact already exists',
+        customer: existingCustomer
+      });
+    }
+
+    const customer = await prisma.customer.create({
+      data: {
+        name: name.trim(),
+        phone: phone.trim(),
+        contactKey,
+        email,
+        address,
+        notes,
+        createdById: req.user.id
+      }
+    });
+
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update customer (Admin and Manager)
+router.patch('/:id', authenticateToken, requirePermission('customer.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, phone, email, address, notes, priceListId } = req.body;
+
+    const existingCustomer = await prisma.customer.findUnique({
+      where: { id }
+    });
+
+    if (!existingCustomer || existingCustomer.mergedIntoId) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    if (priceListId) {
+      const priceList = await prisma.priceList.findUnique({ where: { id: priceListId } });
+      if (!priceList) {
+        return res.status(400).json({ error: 'Price list not found' });
+      }
+    }
+
+    const data = { name, email, address, notes, priceListId };
+    if (phone !== undefined) {
+      data.phone = phone;
+      data.contactKey = normalizeContact(phone);
+
+      const duplicate = data.contactKey && await prisma.customer.findFirst({
+        where: { contactKey: data.contactKey, mergedIntoId: null, id: { not: id } }
+      });
+
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'A customer with this contact already exists',
+          customer: duplicate
+        });
+      }
+    }
+
+    const customer = await prisma.customer.update({
+      where: { id },
+      data
+    });
+
+    res.json(customer);
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a customer's negotiated prices
+router.get('/:id/prices', authenticateToken, async (req, res) => {
+  try {
+    const customer = await findActiveCustomer(prisma, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const prices = await prisma.customerPrice.findMany({
+      where: { customerId: customer.id },
+      include: {
+        stockItem: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    res.json(prices);
+  } catch (error) {
+    console.error('Get customer prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set negotiated prices for a customer (Manager only).
+// Body: { items: [{ stockItemId, price }] }; a null price removes the override.
+router.put('/:id/prices', authenticateToken, requirePermission('customer.prices.manage'), async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    if (items.some(item => !item.stockItemId || (item.price !== null && !(parseFloat(item.price) >= 0)))) {
+      return res.status(400).json({ error: 'Each item needs a stock item and a non-negative price' });
+    }
+
+    const customer = await findActiveCustomer(prisma, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const stockItemIds = [...new Set(items.map(item => item.stockItemId))];
+    const stockItems = await prisma.stockItem.findMany({
+      where: { id: { in: stockItemIds } },
+      select: { id: true }
+    });
+
+    if (stockItems.length !== stockItemIds.length) {
+      const missing = stockItemIds.filter(stockItemId => !stockItems.some(item => item.id === stockItemId));
+      return res.status(400).json({ error: `Stock items not found: ${missing.join(', ')}` });
+    }
+
+    await prisma.$transaction(
+      items.map(item => {
+        const where = {
+          customerId_stockItemId: { customerId: customer.id, stockItemId: item.stockItemId }
+        };
+
+        if (item.price === null) {
+          return prisma.customerPrice.deleteMany({
+            where: { customerId: customer.id, stockItemId: item.stockItemId }
+          });
+        }
+
+        return prisma.customerPrice.upsert({
+          where,
+          update: { price: parseFloat(item.price) },
+          create: { customerId: customer.id, stockItemId: item.stockItemId, price: parseFloat(item.price) }
+        });
+      })
+    );
+
+    const prices = await prisma.customerPrice.findMany({
+      where: { customerId: customer.id },
+      include: {
+        stockItem: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    res.json(prices);
+  } catch (error) {
+    console.error('Set customer prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge duplicate customers into this one (Admin and Manager). Orders and
+// negotiated prices move to the survivor; where the survivor (or an earlier
+// duplicate) already has a price for an item, the duplicate's price stays
+// behind and is listed in priceConflicts.
+router.post('/:id/merge', authenticateToken, requirePermission('customer.merge'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ error: 'Duplicate customer ids are required' });
+    }
+
+    if (duplicateIds.includes(id)) {
+      return res.status(400).json({ error: 'A customer cannot be merged into itself' });
+    }
+
+    const priceConflicts = [];
+
+    const customer = await prisma.$transaction(async (tx) => {
+      const target = await tx.customer.findUnique({ where: { id } });
+
+      if (!target || target.mergedIntoId) {
+        throw new HttpError(404, 'Customer not found');
+      }
+
+      const duplicates = await tx.customer.findMany({
+        where: { id: { in: duplicateIds }, mergedIntoId: null }
+      });
+
+      if (duplicates.length !== duplicateIds.length) {
+        throw new HttpError(400, 'Some duplicate customers were not found or are already merged');
+      }
+
+      await tx.order.updateMany({
+        where: { customerId: { in: duplicateIds } },
+        data: { customerId: id }
+      });
+
+      const targetPrices = await tx.customerPrice.findMany({ where: { customerId: id } });
+      const kept = new Map(targetPrices.map(price => [price.stockItemId, price.price]));
+
+      for (const duplicateId of duplicateIds) {
+        const prices = await tx.customerPrice.findMany({ where: { customerId: duplicateId } });
+
+        for (const price of prices) {
+          if (kept.has(price.stockItemId)) {
+            priceConflicts.push({
+              customerId: duplicateId,
+              stockItemId: price.stockItemId,
+              price: price.price,
+              keptPrice: kept.get(price.stockItemId)
+            });
+            continue;
+          }
+
+          await tx.customerPrice.update({
+            where: { id: price.id },
+            data: { customerId: id }
+          });
+          kept.set(price.stockItemId, price.price);
+        }
+      }
+
+      // Duplicates are kept, pointing at the survivor, so old references still resolve
+      await tx.customer.updateMany({
+        where: { id: { in: duplicateIds } },
+        data: { mergedIntoId: id }
+      });
+
+      // Fill gaps on the surviving record from the duplicates
+      const fill = {};
+      ['phone', 'email', 'address'].forEach(field => {
+        if (target[field]) return;
+        const source = duplicates.find(duplicate => duplicate[field]);
+        if (source) fill[field] = source[field];
+      });
+      if (fill.phone) fill.contactKey = normalizeContact(fill.phone);
+
+      // The survivor keeps its own price list
+      if (!target.priceListId) {
+        const source = duplicateIds
+          .map(duplicateId => duplicates.find(duplicate => duplicate.id === duplicateId))
+          .find(duplicate => duplicate.priceListId);
+        if (source) fill.priceListId = source.priceListId;
+      }
+
+      return tx.customer.update({
+        where: { id },
+        data: fill
+      });
+    });
+
+    res.json({ ...customer, priceConflicts });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Merge customers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,31 @@
 const express = require('express');
 const { prisma } = require('../lib/prisma');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SOLD_STATUSES } = require('../lib/orderStateMachine');
+const { belowReorderPointIds } = require('../lib/replenishment');
+const { BUSINESS_TIMEZONE, businessDate, parseDateBoundary } = require('../lib/businessTime');
+const { INTERVALS, salesSeries, salesTotals, salesBreakdown } = require('../lib/analytics');
 
 const router = express.Router();
 
 // Get sales summary (Admin only)
-router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.get('/sales-summary', authenticateToken, requirePermission('report.sales.view'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    let whereClause = { status: 'APPROVED' };
+    let whereClause = { status: { in: SOLD_STATUSES } };
     
-    // Add date filtering if provided
+    // Add date filtering if provided; dates are whole business days, and a
+    // sale counts on the day it was approved, as in the analytics reports
     if (startDate && endDate) {
-      whereClause.createdAt = {
-        gte: new Date(startDate),
-        lte: new Date(endDate + 'T23:59:59.999Z')
-      };
+      const from = parseDateBoundary(startDate, 'start');
+      const to = parseDateBoundary(endDate, 'end');
+
+      if (!from || !to) {
+        return res.status(400).json({ error: 'startDate and endDate must be valid dates' });
+      }
+
+      whereClause.approvedAt = { gte: from, lte: to };
     }
     
     const approvedOrders = await prisma.order.findMany({
@@ -31,7 +40,7 @@ router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (r
           }
         }
       },
-      orderBy: { createdAt: 'desc' }
+      orderBy: { approvedAt: 'desc' }
     });
 
     // Calculate totals
@@ -41,8 +50,9 @@ router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (r
     const salesData = approvedOrders.map(order => {
       let orderCost = 0;
       
+      // Cost is the snapshot taken at approval, not today's buying price
       order.orderItems.forEach(item => {
-        orderCost += item.stockItem.buyingPrice * item.quantity;
+        orderCost += item.totalCost || 0;
       });
 
       totalRevenue += order.totalAmount;
@@ -56,12 +66,17 @@ router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (r
         totalAmount: order.totalAmount,
         cost: orderCost,
         profit: order.totalAmount - orderCost,
+        margin: order.totalAmount > 0 ? (order.totalAmount - orderCost) / order.totalAmount : 0,
         createdAt: order.createdAt,
+        approvedAt: order.approvedAt,
         items: order.orderItems.map(item => ({
           name: item.stockItem.name,
           quantity: item.quantity,
+          returnedQuantity: item.returnedQuantity,
           unitPrice: item.unitPrice,
-          totalPrice: item.totalPrice
+          totalPrice: item.totalPrice,
+          unitCost: item.unitCost,
+          totalCost: item.totalCost
         }))
       };
     });
@@ -74,6 +89,7 @@ router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (r
         totalRevenue,
         totalCost,
         totalProfit,
+        margin: totalRevenue > 0 ? totalProfit / totalRevenue : 0,
         totalOrders: approvedOrders.length
       }
     });
@@ -83,6 +99,83 @@ router.get('/sales-summary', authenticateToken, requireRole(['ADMIN']), async (r
   }
 });
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative change against the previous period, or null when there was nothing to compare with
+const changeFrom = (previous, current) => {
+  return Object.fromEntries(['revenue', 'cost', 'profit', 'units', 'orders'].map(measure => [
+    measure,
+    previous[measure] !== 0 ? (current[measure] - previous[measure]) / Math.abs(previous[measure]) : null
+  ]));
+};
+
+// Sales analytics aggregated in the database, in business time.
+// ?from=&to= (default the last 30 days), ?interval=day|week|month,
+// ?limit= rows per breakdown (default 10), ?compare=false skips the previous period.
+router.get('/analytics', authenticateToken, requirePermission('report.sales.view'), async (req, res) => {
+  try {
+    const { interval = 'day', compare } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+
+    const today = businessDate();
+    const range = {
+      from: req.query.from
+        ? parseDateBoundary(req.query.from, 'start')
+        : parseDateBoundary(businessDate(new Date(Date.now() - 29 * DAY_MS)), 'start'),
+      to: req.query.to ? parseDateBoundary(req.query.to, 'end') : parseDateBoundary(today, 'end')
+    };
+
+    if (!range.from || !range.to || range.from > range.to) {
+      return res.status(400).json({ error: 'A valid from/to range is required' });
+    }
+
+    // The same length of time immediately before
+    const length = range.to - range.from + 1;
+    const previousRange = {
+      from: new Date(range.from.getTime() - length),
+      to: new Date(range.from.getTime() - 1)
+    };
+
+    const [series, totals, breakdown] = await Promise.all([
+      salesSeries(range, interval),
+      salesTotals(range),
+      salesBreakdown(range, limit)
+    ]);
+
+    let previous = null;
+    if (compare !== 'false') {
+      const [previousSeries, previousTotals] = await Promise.all([
+        salesSeries(previousRange, interval),
+        salesTotals(previousRange)
+      ]);
+
+      previous = {
+        ...previousRange,
+        totals: previousTotals,
+        series: previousSeries,
+        change: changeFrom(previousTotals, totals)
+      };
+    }
+
+    res.json({
+      ...range,
+      interval,
+      timezone: BUSINESS_TIMEZONE,
+      totals,
+      series,
+      ...breakdown,
+      previous
+    });
+  } catch (error) {
+    console.error('Get sales analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get dashboard stats
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
@@ -94,10 +187,11 @@ router.get('/stats', authenticateToken, async (req, res) => {
       lowStockItems
     ] = await Promise.all([
       prisma.user.count({ where: { role: { not: 'ADMIN' }, isActive: true } }),
-      prisma.stockItem.count(),
+      prisma.stockItem.count({ where: { archivedAt: null } }),
       prisma.order.count({ where: { status: 'PENDING' } }),
-      prisma.order.count({ where: { status: 'APPROVED' } }),
-      prisma.stockItem.count({ where: { quantity: { lte: 10 } } })
+      prisma.order.count({ where: { status: { in: SOLD_STATUSES } } }),
+      // Items at or below their own reorder point
+      belowReorderPointIds().then(ids => ids.length)
     ]);
 
     res.json({
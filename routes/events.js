@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticateEventStream } = require('../middleware/auth');
+const { openEventStream } = require('../lib/events');
+
+const router = express.Router();
+
+// Live notifications as Server-Sent Events. Each user only receives events
+// their permissions or ownership allow. Reconnects send Last-Event-ID (or
+// ?lastEventId=) to catch up on what was missed.
+router.get('/', authenticateEventStream, async (req, res) => {
+  try {
+    const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId);
+
+    await openEventStream(req, res, isNaN(lastEventId) ? null : lastEventId);
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
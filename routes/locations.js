@@ -0,0 +1,186 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { HttpError } = require('../lib/errors');
+
+const router = express.Router();
+
+const LOCATION_TYPES = ['WAREHOUSE', 'SHOWROOM'];
+
+// Get locations with the number of units on hand at each
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.includeInactive !== 'true') where.isActive = true;
+
+    const [locations, totals] = await Promise.all([
+      prisma.location.findMany({
+        where,
+        include: {
+          assignments: {
+            include: {
+              user: {
+                select: { id: true, username: true }
+              }
+            }
+          }
+        },
+        orderBy: { name: 'asc' }
+      }),
+      prisma.stockLevel.groupBy({
+        by: ['locationId'],
+        _sum: { quantity: true }
+      })
+    ]);
+
+    res.json(locations.map(location => {
+      const total = totals.find(entry => entry.locationId === location.id);
+      const { assignments, ...rest } = location;
+
+      return {
+        ...rest,
+        unitsOnHand: total ? total._sum.quantity : 0,
+        storeKeepers: assignments.map(assignment => assignment.user)
+      };
+    }));
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create location (Admin and Manager)
+router.post('/', authenticateToken, requirePermission('location.manage'), async (req, res) => {
+  try {
+    const { name, type = 'WAREHOUSE', address, isDefault = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Location name is required' });
+    }
+
+    if (!LOCATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Location type must be WAREHOUSE or SHOWROOM' });
+    }
+
+    const existing = await prisma.location.findUnique({ where: { name } });
+
+    if (existing) {
+      return res.status(409).json({ error: 'Location with this name already exists' });
+    }
+
+    const location = await prisma.$transaction(async (tx) => {
+      // Only one location can be the default
+      if (isDefault) {
+        await tx.location.updateMany({ data: { isDefault: false } });
+      }
+
+      return tx.location.create({
+        data: { name, type, address, isDefault: Boolean(isDefault) }
+      });
+    });
+
+    res.status(201).json(location);
+  } catch (error) {
+    // Another request took the name between the check and the create
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Location with this name already exists' });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update location (Admin and Manager)
+router.patch('/:id', authenticateToken, requirePermission('location.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, address, isDefault, isActive } = req.body;
+
+    if (type !== undefined && !LOCATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Location type must be WAREHOUSE or SHOWROOM' });
+    }
+
+    if (isDefault === true && isActive === false) {
+      return res.status(400).json({ error: 'The default location cannot be inactive' });
+    }
+
+    const location = await prisma.$transaction(async (tx) => {
+      // Dispatches and stock takes at this location queue up behind the checks
+      await tx.$queryRaw`SELECT "id" FROM "locations" WHERE "id" = ${id} FOR UPDATE`;
+
+      const existing = await tx.location.findUnique({ where: { id } });
+
+      if (!existing) {
+        throw new HttpError(404, 'Location not found');
+      }
+
+      if (name !== undefined && name !== existing.name) {
+        const taken = await tx.location.findUnique({ where: { name } });
+
+        if (taken) {
+          throw new HttpError(409, 'Location with this name already exists');
+        }
+      }
+
+      if (isDefault === true && !existing.isActive && isActive !== true) {
+        throw new HttpError(400, 'Reactivate this location before making it the default');
+      }
+
+      if (isDefault === false && existing.isDefault) {
+        throw new HttpError(400, 'Make another location the default instead');
+      }
+
+      if (isActive === false && existing.isActive) {
+        if (existing.isDefault) {
+          throw new HttpError(400, 'Choose another default location before deactivating this one');
+        }
+
+        const stocked = await tx.stockLevel.count({
+          where: { locationId: id, quantity: { gt: 0 } }
+        });
+
+        if (stocked > 0) {
+          throw new HttpError(400, 'Move the stock out of this location before deactivating it');
+        }
+
+        // Transfers into an inactive location could never be received
+        const openTransfers = await tx.stockTransfer.count({
+          where: {
+            status: 'IN_TRANSIT',
+            OR: [{ fromLocationId: id }, { toLocationId: id }]
+          }
+        });
+
+        if (openTransfers > 0) {
+          throw new HttpError(400, 'Receive or cancel the transfers in transit to or from this location before deactivating it');
+        }
+      }
+
+      if (isDefault === true) {
+        await tx.location.updateMany({
+          where: { id: { not: id } },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.location.update({
+        where: { id },
+        data: { name, type, address, isDefault, isActive }
+      });
+    });
+
+    res.json(location);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // Another request took the name between the check and the update
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Location with this name already exists' });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,167 +1,628 @@
 const express = require('express');
 const { prisma } = require('../lib/prisma');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { applyStockMovement, consumeStock } = require('../lib/stockMovements');
+const { reserveStock, closeOrderReservations, releaseExpiredReservations } = require('../lib/reservations');
+const { resolveCustomer } = require('../lib/customers');
+const { HttpError } = require('../lib/errors');
+const { PAYMENT_METHODS, PAYMENT_STATUSES, EPSILON, refreshOrderPayment } = require('../lib/payments');
+const { buildInvoicePdf, buildDeliveryNotePdf } = require('../lib/documents');
+const { nextDocumentNumber } = require('../lib/sequences');
+const { resolveListPrice, priceFlagFor } = require('../lib/pricing');
+const { parsePagination, parseSort, paginated } = require('../lib/pagination');
+const { parseDateBoundary } = require('../lib/businessTime');
+const { ORDER_STATUSES, SOLD_STATUSES, assertTransition } = require('../lib/orderStateMachine');
+const { resolveLocation, assertLocationAccess, lockLocationStock } = require('../lib/locations');
+const { recordAudit } = require('../lib/audit');
+const { hasPermission } = require('../lib/permissions');
+const { publishEvent } = require('../lib/events');
 
 const router = express.Router();
 
-// Get orders based on role
+const ORDER_SORT_FIELDS = ['createdAt', 'updatedAt', 'totalAmount', 'customerName', 'status', 'orderNumber'];
+
+// Order events go to whoever can approve orders and to the order's rep
+const publishOrderEvent = (tx, type, order, details = {}) => {
+  return publishEvent(tx, {
+    type,
+    permission: 'order.approve',
+    userId: order.salesRepId,
+    payload: {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      customerName: order.customerName,
+      totalAmount: order.totalAmount,
+      status: order.status,
+      ...details
+    }
+  });
+};
+
+// Build the where clause for the order list from query filters
+const buildOrderFilters = (req) => {
+  const { status, from, to, salesRepId, customerId, paymentStatus, search } = req.query;
+  const where = {};
+
+  // Sales reps see only their orders
+  if (req.user.role === 'SALES_REPRESENTATIVE') {
+    where.salesRepId = req.user.id;
+  } else if (salesRepId) {
+    where.salesRepId = salesRepId;
+  }
+
+  if (status) {
+    where.status = { in: String(status).split(',').filter(value => ORDER_STATUSES.includes(value)) };
+  }
+
+  if (paymentStatus) {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      throw new HttpError(400, `Payment status must be one of ${PAYMENT_STATUSES.join(', ')}`);
+    }
+    where.paymentStatus = paymentStatus;
+  }
+  if (customerId) where.customerId = customerId;
+
+  const createdFrom = parseDateBoundary(from, 'start');
+  const createdTo = parseDateBoundary(to, 'end');
+  if (createdFrom || createdTo) {
+    where.createdAt = {};
+    if (createdFrom) where.createdAt.gte = createdFrom;
+    if (createdTo) where.createdAt.lte = createdTo;
+  }
+
+  // Customer text search; order and invoice numbers match on any fragment, e.g. "000123"
+  if (search) {
+    where.OR = [
+      { customerName: { contains: search, mode: 'insensitive' } },
+      { customerContact: { contains: search } },
+      { orderNumber: { contains: search, mode: 'insensitive' } },
+      { invoiceNumber: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+};
+
+// Get orders based on role.
+// The list is a light projection; pass ?view=full for line items and stock rows.
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    let orders;
+    const where = buildOrderFilters(req);
+    const pagination = parsePagination(req.query);
+    const orderBy = parseSort(req.query, ORDER_SORT_FIELDS, 'createdAt', 'desc');
 
-    if (req.user.role === 'SALES_REPRESENTATIVE') {
-      // Sales reps see only their orders
-      orders = await prisma.order.findMany({
-        where: { salesRepId: req.user.id },
+    const include = {
+      salesRep: {
+        select: { username: true }
+      },
+      customer: {
+        select: { id: true, name: true, phone: true }
+      },
+      _count: {
+        select: { orderItems: true }
+      }
+    };
+
+    if (req.query.view === 'full') {
+      include.orderItems = {
         include: {
-          orderItems: {
-            include: {
-              stockItem: true
-            }
+          stockItem: true
+        }
+      };
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        include,
+        orderBy,
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    res.json(paginated(orders, total, pagination));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single order with its line items
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: {
+        salesRep: {
+          select: { username: true }
+        },
+        customer: true,
+        orderItems: {
+          include: {
+            stockItem: true
           }
         },
-        orderBy: { createdAt: 'desc' }
-      });
-    } else {
-      // Store keepers and admins see all orders
-      orders = await prisma.order.findMany({
-        include: {
-          salesRep: {
-            select: { username: true }
+        returns: {
+          include: {
+            items: true
           },
-          orderItems: {
-            include: {
-              stockItem: true
-            }
-          }
+          orderBy: { createdAt: 'asc' }
         },
-        orderBy: { createdAt: 'desc' }
-      });
+        backorderOf: {
+          select: { id: true, orderNumber: true, status: true }
+        },
+        backorders: {
+          select: { id: true, orderNumber: true, status: true }
+        }
+      }
+    });
+
+    if (!order || (req.user.role === 'SALES_REPRESENTATIVE' && order.salesRepId !== req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
     }
 
-    res.json(orders);
+    res.json(order);
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error('Get order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Price and validate requested lines. Lines default to the customer's list
+// price; anything below the floor or below cost is flagged for approval.
+const buildOrderItems = async (tx, items, customer) => {
+  let totalAmount = 0;
+  let requiresPriceApproval = false;
+  const orderItems = [];
+
+  for (const item of items) {
+    const stockItem = await tx.stockItem.findUnique({
+      where: { id: item.stockItemId }
+    });
+
+    if (!stockItem) {
+      throw new HttpError(400, `Stock item not found: ${item.stockItemId}`);
+    }
+
+    if (stockItem.archivedAt) {
+      throw new HttpError(400, `${stockItem.name} is archived and can't be ordered`);
+    }
+
+    const quantity = parseInt(item.quantity);
+    if (!(quantity > 0)) {
+      throw new HttpError(400, `Invalid quantity for ${stockItem.name}`);
+    }
+
+    const listPrice = await resolveListPrice(tx, stockItem, customer);
+    const hasOverride = item.sellingPrice !== undefined && item.sellingPrice !== null && item.sellingPrice !== '';
+    const unitPrice = hasOverride ? parseFloat(item.sellingPrice) : listPrice && listPrice.price;
+
+    if (unitPrice === null || unitPrice === undefined || isNaN(unitPrice) || unitPrice < 0) {
+      throw new HttpError(400, `No price available for ${stockItem.name}`);
+    }
+
+    const priceFlag = priceFlagFor(unitPrice, listPrice, stockItem);
+    if (priceFlag) requiresPriceApproval = true;
+
+    const itemTotal = unitPrice * quantity;
+    totalAmount += itemTotal;
+
+    orderItems.push({
+      stockItemId: item.stockItemId,
+      quantity,
+      unitPrice,
+      totalPrice: itemTotal,
+      listPrice: listPrice ? listPrice.price : null,
+      priceFlag
+    });
+  }
+
+  return { orderItems, totalAmount, requiresPriceApproval };
+};
+
+const orderDetailInclude = {
+  customer: true,
+  reservations: true,
+  orderItems: {
+    include: {
+      stockItem: true
+    }
+  }
+};
+
 // Create order (Sales Representative only)
-router.post('/', authenticateToken, requireRole(['SALES_REPRESENTATIVE']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('order.create'), async (req, res) => {
   try {
-    const { customerName, customerContact, items } = req.body;
+    const { customerId, customer: newCustomer, customerName, customerContact, items } = req.body;
 
-    if (!customerName || !customerContact || !items || items.length === 0) {
+    if (!items || items.length === 0) {
       return res.status(400).json({ error: 'Customer details and items are required' });
     }
 
-    // Calculate total amount and validate stock
-    let totalAmount = 0;
-    const orderItems = [];
+    // Free up stock from expired holds before reserving for this order
+    await releaseExpiredReservations();
 
-    for (const item of items) {
-      const stockItem = await prisma.stockItem.findUnique({
-        where: { id: item.stockItemId }
+    const order = await prisma.$transaction(async (tx) => {
+      // Reference an existing customer or create one inline
+      const customer = await resolveCustomer(tx, {
+        customerId,
+        name: newCustomer ? newCustomer.name : customerName,
+        contact: newCustomer ? newCustomer.phone : customerContact,
+        userId: req.user.id
       });
 
-      if (!stockItem) {
-        return res.status(400).json({ error: `Stock item not found: ${item.stockItemId}` });
+      // Calculate total amount and validate prices
+      const { orderItems, totalAmount, requiresPriceApproval } = await buildOrderItems(tx, items, customer);
+
+      // Name and contact are kept on the order as they were at the time of sale
+      const created = await tx.order.create({
+        data: {
+          orderNumber: await nextDocumentNumber(tx, 'order'),
+          customerId: customer.id,
+          customerName: customer.name,
+          customerContact: customer.phone || customerContact || '',
+          totalAmount,
+          requiresPriceApproval,
+          salesRepId: req.user.id,
+          orderItems: {
+            create: orderItems
+          }
+        }
+      });
+
+      // Hold the stock until the order is approved, rejected or the hold expires
+      for (const item of orderItems) {
+        await reserveStock(tx, {
+          orderId: created.id,
+          stockItemId: item.stockItemId,
+          quantity: item.quantity
+        });
+      }
+
+      const result = await tx.order.findUnique({
+        where: { id: created.id },
+        include: orderDetailInclude
+      });
+      await recordAudit(tx, req, {
+        action: 'order.create',
+        entityType: 'Order',
+        entityId: created.id,
+        after: result
+      });
+      await publishOrderEvent(tx, 'order.created', result);
+
+      return result;
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lock an order for a change. Concurrent calls queue on the row lock and the
+// loser sees the new status. Pass `nextStatus` to check the transition.
+const lockOrder = async (tx, id, nextStatus = null) => {
+  await tx.$queryRaw`SELECT "id" FROM "orders" WHERE "id" = ${id} FOR UPDATE`;
+
+  const order = await tx.order.findUnique({
+    where: { id },
+    include: { orderItems: true }
+  });
+
+  if (!order) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  if (nextStatus) {
+    assertTransition(order.status, nextStatus);
+  }
+
+  return order;
+};
+
+// Edit a pending order (creator only). Lines are replaced as a whole and
+// repriced; any earlier price sign-off no longer applies.
+router.put('/:id', authenticateToken, requirePermission('order.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { customerId, customer: newCustomer, customerName, customerContact, items } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({ error: 'An order needs at least one item' });
+    }
+
+    await releaseExpiredReservations();
+
+    const order = await prisma.$transaction(async (tx) => {
+      const existing = await lockOrder(tx, id);
+
+      if (existing.salesRepId !== req.user.id) {
+        throw new HttpError(404, 'Order not found');
       }
 
-      if (stockItem.quantity < item.quantity) {
-        return res.status(400).json({ error: `Insufficient stock for ${stockItem.name}` });
+      if (existing.status !== 'PENDING') {
+        throw new HttpError(400, 'Only pending orders can be edited');
       }
 
-      const sellingPrice = item.sellingPrice || 0;
-      const itemTotal = sellingPrice * item.quantity;
-      totalAmount += itemTotal;
+      const customerChanged = customerId || newCustomer || customerName || customerContact;
+      const customer = customerChanged
+        ? await resolveCustomer(tx, {
+          customerId,
+          name: newCustomer ? newCustomer.name : customerName,
+          contact: newCustomer ? newCustomer.phone : customerContact,
+          userId: req.user.id
+        })
+        : await tx.customer.findUnique({ where: { id: existing.customerId } });
 
-      orderItems.push({
+      // Keep the current lines when only the customer is being corrected
+      const requested = items || existing.orderItems.map(item => ({
         stockItemId: item.stockItemId,
         quantity: item.quantity,
-        unitPrice: sellingPrice,
-        totalPrice: itemTotal
-      });
-    }
+        sellingPrice: item.unitPrice
+      }));
 
-    const order = await prisma.order.create({
-      data: {
-        customerName,
-        customerContact,
-        totalAmount,
-        salesRepId: req.user.id,
-        orderItems: {
-          create: orderItems
-        }
-      },
-      include: {
-        orderItems: {
-          include: {
-            stockItem: true
+      // Hand back the old holds first so the new lines can reuse that stock
+      await closeOrderReservations(tx, id, 'RELEASED');
+      await tx.orderItem.deleteMany({ where: { orderId: id } });
+
+      const { orderItems, totalAmount, requiresPriceApproval } = await buildOrderItems(tx, requested, customer);
+
+      await tx.order.update({
+        where: { id },
+        data: {
+          customerId: customer.id,
+          customerName: customer.name,
+          customerContact: customer.phone || customerContact || existing.customerContact,
+          totalAmount,
+          requiresPriceApproval,
+          priceApprovedAt: null,
+          priceApprovedById: null,
+          orderItems: {
+            create: orderItems
           }
         }
+      });
+
+      for (const item of orderItems) {
+        await reserveStock(tx, {
+          orderId: id,
+          stockItemId: item.stockItemId,
+          quantity: item.quantity
+        });
       }
+
+      const result = await tx.order.findUnique({
+        where: { id },
+        include: orderDetailInclude
+      });
+      await recordAudit(tx, req, {
+        action: 'order.update',
+        entityType: 'Order',
+        entityId: id,
+        before: existing,
+        after: result
+      });
+
+      return result;
     });
 
-    res.status(201).json(order);
+    res.json(order);
   } catch (error) {
-    console.error('Create order error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Edit order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Approve order (Store Keeper only)
-router.patch('/:id/approve', authenticateToken, requireRole(['STORE_KEEPER']), async (req, res) => {
+// Sign off below-floor or below-cost prices (Manager only)
+router.patch('/:id/price-approval', authenticateToken, requirePermission('order.price_approve'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const order = await prisma.order.findUnique({
-      where: { id },
-      include: {
-        orderItems: {
-          include: {
-            stockItem: true
-          }
-        }
-      }
+    const existing = await prisma.order.findUnique({
+      where: { id }
     });
 
-    if (!order) {
+    if (!existing) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    if (order.status !== 'PENDING') {
-      return res.status(400).json({ error: 'Order is not pending' });
+    if (existing.status !== 'PENDING' || !existing.requiresPriceApproval) {
+      return res.status(400).json({ error: 'Order does not need price approval' });
     }
 
-    // Check stock availability again
-    for (const orderItem of order.orderItems) {
-      if (orderItem.stockItem.quantity < orderItem.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${orderItem.stockItem.name}` 
-        });
-      }
-    }
+    const order = await prisma.$transaction(async (tx) => {
+      const updated = await tx.order.update({
+        where: { id },
+        data: {
+          priceApprovedAt: new Date(),
+          priceApprovedById: req.user.id
+        },
+        include: {
+          orderItems: {
+            include: {
+              stockItem: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'order.price_approve',
+        entityType: 'Order',
+        entityId: id,
+        before: { priceApprovedAt: existing.priceApprovedAt, priceApprovedById: existing.priceApprovedById },
+        after: { priceApprovedAt: updated.priceApprovedAt, priceApprovedById: updated.priceApprovedById }
+      });
+
+      return updated;
+    });
+
+    res.json(order);
+  } catch (error) {
+    console.error('Approve order prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve order (Store Keeper only). Stock is taken from `locationId`, or the
+// default location. With { allowPartial: true } each line takes what is on
+// hand there and the rest moves to a new pending backorder for the customer.
+router.patch('/:id/approve', authenticateToken, requirePermission('order.approve'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const allowPartial = Boolean(req.body && req.body.allowPartial);
+    const location = await resolveLocation(prisma, req.body && req.body.locationId);
+    await assertLocationAccess(prisma, req.user, location);
 
     // Update stock quantities and approve order
     await prisma.$transaction(async (tx) => {
-      // Deduct stock quantities
+      const order = await lockOrder(tx, id, 'APPROVED');
+
+      if (order.requiresPriceApproval && !order.priceApprovedAt) {
+        throw new HttpError(400, 'Order has prices below the allowed floor and needs manager approval');
+      }
+
+      // Stock still held for this order; expired holds have to be covered by free stock
+      const held = await closeOrderReservations(tx, id, 'CONSUMED');
+      const shortfalls = [];
+      let totalAmount = 0;
+      let approvedLines = 0;
+
+      // Deduct stock quantities and record the cost of goods sold
       for (const orderItem of order.orderItems) {
-        await tx.stockItem.update({
-          where: { id: orderItem.stockItemId },
+        const releaseReserved = Math.min(held.get(orderItem.stockItemId) || 0, orderItem.quantity);
+        held.set(orderItem.stockItemId, (held.get(orderItem.stockItemId) || 0) - releaseReserved);
+
+        let quantity = orderItem.quantity;
+
+        if (allowPartial) {
+          // Lock the stock rows so the fill below is exactly what consumeStock will allow
+          const [stock] = await tx.$queryRaw`
+            SELECT "quantity", "reservedQuantity" FROM "stock_items"
+            WHERE "id" = ${orderItem.stockItemId}
+            FOR UPDATE
+          `;
+          const atLocation = await lockLocationStock(tx, { stockItemId: orderItem.stockItemId, locationId: location.id });
+          const free = stock.quantity - stock.reservedQuantity + releaseReserved;
+          quantity = Math.max(0, Math.min(orderItem.quantity, free, atLocation));
+        }
+
+        if (quantity < orderItem.quantity) {
+          shortfalls.push({ orderItem, quantity: orderItem.quantity - quantity });
+        }
+
+        if (quantity === 0) {
+          // Nothing to ship on this line; give back its hold and leave it to the backorder
+          if (releaseReserved > 0) {
+            await tx.stockItem.update({
+              where: { id: orderItem.stockItemId },
+              data: { reservedQuantity: { decrement: releaseReserved } }
+            });
+          }
+          await tx.orderItem.delete({ where: { id: orderItem.id } });
+          continue;
+        }
+
+        const movement = await consumeStock(tx, {
+          stockItemId: orderItem.stockItemId,
+          locationId: location.id,
+          quantity,
+          releaseReserved,
+          type: 'SALE',
+          userId: req.user.id,
+          orderId: id,
+          reason: `Order approved for ${order.customerName}`
+        });
+
+        // Snapshot the cost so later price changes don't rewrite past margins
+        await tx.orderItem.update({
+          where: { id: orderItem.id },
           data: {
-            quantity: {
-              decrement: orderItem.quantity
+            quantity,
+            totalPrice: orderItem.unitPrice * quantity,
+            unitCost: movement.unitCost,
+            totalCost: movement.unitCost * quantity
+          }
+        });
+
+        totalAmount += orderItem.unitPrice * quantity;
+        approvedLines += 1;
+      }
+
+      if (approvedLines === 0) {
+        throw new HttpError(400, `None of the items on this order are in stock at ${location.name}`);
+      }
+
+      let backorder = null;
+      if (shortfalls.length > 0) {
+        // The backorder holds no stock; it is approved like any other order once stock arrives
+        const requiresPriceApproval = shortfalls.some(({ orderItem }) => orderItem.priceFlag);
+
+        backorder = await tx.order.create({
+          data: {
+            orderNumber: await nextDocumentNumber(tx, 'order'),
+            customerId: order.customerId,
+            customerName: order.customerName,
+            customerContact: order.customerContact,
+            salesRepId: order.salesRepId,
+            backorderOfId: id,
+            totalAmount: shortfalls.reduce((sum, { orderItem, quantity }) => sum + orderItem.unitPrice * quantity, 0),
+            requiresPriceApproval,
+            priceApprovedAt: requiresPriceApproval ? order.priceApprovedAt : null,
+            priceApprovedById: requiresPriceApproval ? order.priceApprovedById : null,
+            orderItems: {
+              create: shortfalls.map(({ orderItem, quantity }) => ({
+                stockItemId: orderItem.stockItemId,
+                quantity,
+                unitPrice: orderItem.unitPrice,
+                totalPrice: orderItem.unitPrice * quantity,
+                listPrice: orderItem.listPrice,
+                priceFlag: orderItem.priceFlag
+              }))
             }
           }
         });
       }
 
       // Update order status
-      await tx.order.update({
+      const approved = await tx.order.update({
         where: { id },
-        data: { status: 'APPROVED' }
+        data: {
+          status: 'APPROVED',
+          totalAmount,
+          fulfilmentLocationId: location.id,
+          approvedAt: new Date(),
+          invoiceNumber: await nextDocumentNumber(tx, 'invoice')
+        },
+        include: { orderItems: true }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'order.approve',
+        entityType: 'Order',
+        entityId: id,
+        before: order,
+        after: { ...approved, backorderId: backorder ? backorder.id : null }
+      });
+      await publishOrderEvent(tx, 'order.approved', approved, {
+        backorderId: backorder ? backorder.id : null
       });
+      if (backorder) {
+        await publishOrderEvent(tx, 'order.created', backorder, { backorderOfId: id });
+      }
     });
 
     const updatedOrder = await prisma.order.findUnique({
@@ -171,19 +632,25 @@ router.patch('/:id/approve', authenticateToken, requireRole(['STORE_KEEPER']), a
           include: {
             stockItem: true
           }
+        },
+        backorders: {
+          select: { id: true, orderNumber: true, status: true, totalAmount: true }
         }
       }
     });
 
     res.json(updatedOrder);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Approve order error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Reject order (Store Keeper only)
-router.patch('/:id/reject', authenticateToken, requireRole(['STORE_KEEPER']), async (req, res) => {
+router.patch('/:id/reject', authenticateToken, requirePermission('order.reject'), async (req, res) => {
   try {
     const { id } = req.params;
     const { rejectionReason } = req.body;
@@ -192,24 +659,536 @@ router.patch('/:id/reject', authenticateToken, requireRole(['STORE_KEEPER']), as
       return res.status(400).json({ error: 'Rejection reason is required' });
     }
 
-    const order = await prisma.order.update({
+    const order = await prisma.$transaction(async (tx) => {
+      const existing = await lockOrder(tx, id, 'REJECTED');
+
+      // Hand the held stock back
+      await closeOrderReservations(tx, id, 'RELEASED');
+
+      const updated = await tx.order.update({
+        where: { id },
+        data: {
+          status: 'REJECTED',
+          rejectionReason
+        },
+        include: {
+          orderItems: {
+            include: {
+              stockItem: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'order.reject',
+        entityType: 'Order',
+        entityId: id,
+        before: existing,
+        after: updated
+      });
+      await publishOrderEvent(tx, 'order.rejected', updated, { rejectionReason });
+
+      return updated;
+    });
+
+    res.json(order);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reject order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark an approved order as handed over to the customer (Store Keeper only)
+router.patch('/:id/deliver', authenticateToken, requirePermission('order.deliver'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.$transaction(async (tx) => {
+      const existing = await lockOrder(tx, id, 'DELIVERED');
+
+      const updated = await tx.order.update({
+        where: { id },
+        data: {
+          status: 'DELIVERED',
+          deliveredAt: new Date()
+        },
+        include: {
+          orderItems: {
+            include: {
+              stockItem: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'order.deliver',
+        entityType: 'Order',
+        entityId: id,
+        before: existing,
+        after: updated
+      });
+
+      return updated;
+    });
+
+    res.json(order);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Deliver order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel an order. Pending orders can be cancelled by their rep or a manager;
+// approved orders only with `order.cancel_approved` and only before any payment, in
+// which case the stock goes back on hand at the cost it left at.
+router.patch('/:id/cancel', authenticateToken, requirePermission('order.cancel'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cancellationReason } = req.body;
+
+    if (!cancellationReason) {
+      return res.status(400).json({ error: 'Cancellation reason is required' });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      const existing = await lockOrder(tx, id);
+
+      if (req.user.role === 'SALES_REPRESENTATIVE' && existing.salesRepId !== req.user.id) {
+        throw new HttpError(404, 'Order not found');
+      }
+
+      assertTransition(existing.status, 'CANCELLED');
+
+      if (existing.status === 'PENDING') {
+        await closeOrderReservations(tx, id, 'RELEASED');
+      } else {
+        if (!hasPermission(req.user.role, 'order.cancel_approved')) {
+          throw new HttpError(403, 'Only a manager can cancel an approved order');
+        }
+
+        if (existing.amountPaid > EPSILON) {
+          throw new HttpError(400, 'Order has payments recorded; record a return instead');
+        }
+
+        for (const orderItem of existing.orderItems) {
+          const quantity = orderItem.quantity - orderItem.returnedQuantity;
+          if (quantity <= 0) continue;
+
+          // Back to where it was picked from
+          await applyStockMovement(tx, {
+            stockItemId: orderItem.stockItemId,
+            locationId: existing.fulfilmentLocationId,
+            type: 'RETURN',
+            quantity,
+            unitCost: orderItem.unitCost,
+            userId: req.user.id,
+            orderId: id,
+            reason: `Order ${existing.orderNumber} cancelled`
+          });
+        }
+      }
+
+      const updated = await tx.order.update({
+        where: { id },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date(),
+          cancellationReason
+        },
+        include: {
+          orderItems: {
+            include: {
+              stockItem: true
+            }
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'order.cancel',
+        entityType: 'Order',
+        entityId: id,
+        before: existing,
+        after: updated
+      });
+
+      return updated;
+    });
+
+    res.json(order);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record goods a customer brought back (Store Keeper and Manager).
+// Body: { reason, items: [{ orderItemId, quantity }], locationId }. The stock
+// goes back on hand at the line's cost, at `locationId` or where the order was
+// picked from, and the order total drops by the returned value.
+router.post('/:id/returns', authenticateToken, requirePermission('order.return'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, items, locationId } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Return reason is required' });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    if (items.some(item => !item.orderItemId || !(parseInt(item.quantity) > 0))) {
+      return res.status(400).json({ error: 'Each item needs an order item and a quantity greater than zero' });
+    }
+
+    const orderReturn = await prisma.$transaction(async (tx) => {
+      const order = await lockOrder(tx, id);
+
+      if (!SOLD_STATUSES.includes(order.status)) {
+        throw new HttpError(400, 'Returns can only be recorded against approved or delivered orders');
+      }
+
+      const location = await resolveLocation(tx, locationId || order.fulfilmentLocationId);
+      await assertLocationAccess(tx, req.user, location);
+
+      const returnItems = [];
+      let totalAmount = 0;
+
+      for (const item of items) {
+        const orderItem = order.orderItems.find(line => line.id === item.orderItemId);
+
+        if (!orderItem) {
+          throw new HttpError(400, `Order item not found: ${item.orderItemId}`);
+        }
+
+        const quantity = parseInt(item.quantity);
+        const value = orderItem.unitPrice * quantity;
+
+        // Guarded so the same line listed twice can't return more than was sold
+        const updated = await tx.$executeRaw`
+          UPDATE "order_items"
+          SET "returnedQuantity" = "returnedQuantity" + ${quantity},
+              "totalPrice" = "totalPrice" - ${value},
+              "totalCost" = "totalCost" - ${(orderItem.unitCost || 0) * quantity}
+          WHERE "id" = ${orderItem.id}
+            AND "quantity" - "returnedQuantity" >= ${quantity}
+        `;
+
+        if (updated === 0) {
+          throw new HttpError(400, 'Return quantity exceeds what is left on the order line');
+        }
+
+        await applyStockMovement(tx, {
+          stockItemId: orderItem.stockItemId,
+          locationId: location.id,
+          type: 'RETURN',
+          quantity,
+          unitCost: orderItem.unitCost,
+          userId: req.user.id,
+          orderId: id,
+          reason: `Return on order ${order.orderNumber}: ${reason}`
+        });
+
+        returnItems.push({ orderItemId: orderItem.id, quantity, unitPrice: orderItem.unitPrice, totalPrice: value });
+        totalAmount += value;
+      }
+
+      const created = await tx.orderReturn.create({
+        data: {
+          orderId: id,
+          reason,
+          totalAmount,
+          createdById: req.user.id,
+          items: {
+            create: returnItems
+          }
+        },
+        include: {
+          items: true
+        }
+      });
+
+      await tx.order.update({
+        where: { id },
+        data: { totalAmount: { decrement: totalAmount } }
+      });
+
+      const updatedOrder = await refreshOrderPayment(tx, id);
+
+      await recordAudit(tx, req, {
+        action: 'order.return',
+        entityType: 'Order',
+        entityId: id,
+        before: { totalAmount: order.totalAmount, paymentStatus: order.paymentStatus },
+        after: { totalAmount: updatedOrder.totalAmount, paymentStatus: updatedOrder.paymentStatus, orderReturn: created }
+      });
+
+      // Anything already paid above the new total is owed back to the customer
+      return {
+        ...created,
+        orderTotal: updatedOrder.totalAmount,
+        creditDue: Math.max(0, updatedOrder.amountPaid - updatedOrder.totalAmount)
+      };
+    });
+
+    res.status(201).json(orderReturn);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Record return error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get payments recorded against an order
+router.get('/:id/payments', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
       where: { id },
-      data: {
-        status: 'REJECTED',
-        rejectionReason
-      },
       include: {
-        orderItems: {
+        payments: {
           include: {
-            stockItem: true
-          }
+            receivedBy: {
+              select: { username: true }
+            },
+            voidedBy: {
+              select: { username: true }
+            }
+          },
+          orderBy: { paidAt: 'asc' }
         }
       }
     });
 
+    if (!order || (req.user.role === 'SALES_REPRESENTATIVE' && order.salesRepId !== req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      orderId: order.id,
+      totalAmount: order.totalAmount,
+      amountPaid: order.amountPaid,
+      balance: order.totalAmount - order.amountPaid,
+      paymentStatus: order.paymentStatus,
+      payments: order.payments
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a payment against an approved or delivered order
+router.post('/:id/payments', authenticateToken, requirePermission('payment.record'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, paidAt, reference, notes } = req.body;
+    const paymentAmount = parseFloat(amount);
+    const paymentDate = paidAt ? new Date(paidAt) : new Date();
+
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({ error: 'Payment amount must be greater than zero' });
+    }
+
+    if (isNaN(paymentDate.getTime())) {
+      return res.status(400).json({ error: 'Payment date is not a valid date' });
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: 'Invalid payment method' });
+    }
+
+    if (method !== 'CASH' && !reference) {
+      return res.status(400).json({ error: 'Reference is required for bank transfers and cheques' });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      // Lock the order so concurrent payments can't both pass the balance check
+      await tx.$queryRaw`SELECT "id" FROM "orders" WHERE "id" = ${id} FOR UPDATE`;
+      const existing = await tx.order.findUnique({ where: { id } });
+
+      // Sales reps may only collect against their own orders
+      if (!existing || (req.user.role === 'SALES_REPRESENTATIVE' && existing.salesRepId !== req.user.id)) {
+        throw new HttpError(404, 'Order not found');
+      }
+
+      if (!SOLD_STATUSES.includes(existing.status)) {
+        throw new HttpError(400, 'Payments can only be recorded against approved or delivered orders');
+      }
+
+      const payment = await tx.payment.create({
+        data: {
+          orderId: id,
+          amount: paymentAmount,
+          method,
+          paidAt: paymentDate,
+          reference,
+          notes,
+          receivedById: req.user.id
+        }
+      });
+
+      const updated = await refreshOrderPayment(tx, id);
+
+      if (updated.amountPaid > updated.totalAmount + EPSILON) {
+        throw new HttpError(400, 'Payment exceeds the outstanding balance');
+      }
+
+      await recordAudit(tx, req, {
+        action: 'order.payment',
+        entityType: 'Order',
+        entityId: id,
+        before: { amountPaid: existing.amountPaid, paymentStatus: existing.paymentStatus },
+        after: { amountPaid: updated.amountPaid, paymentStatus: updated.paymentStatus, payment }
+      });
+
+      return updated;
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Record payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void a payment recorded by mistake. It stays on the order's history but no
+// longer counts towards what was paid; record the right one afterwards.
+// Body: { reason }
+router.patch('/:id/payments/:paymentId/void', authenticateToken, requirePermission('payment.void'), async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to void a payment' });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "orders" WHERE "id" = ${id} FOR UPDATE`;
+      const existing = await tx.order.findUnique({ where: { id } });
+      const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+
+      if (!existing || !payment || payment.orderId !== id) {
+        throw new HttpError(404, 'Payment not found');
+      }
+
+      if (payment.voidedAt) {
+        throw new HttpError(400, 'Payment is already voided');
+      }
+
+      const voided = await tx.payment.update({
+        where: { id: paymentId },
+        data: {
+          voidedAt: new Date(),
+          voidReason: reason,
+          voidedById: req.user.id
+        }
+      });
+
+      const updated = await refreshOrderPayment(tx, id);
+
+      await recordAudit(tx, req, {
+        action: 'order.payment_void',
+        entityType: 'Order',
+        entityId: id,
+        before: { amountPaid: existing.amountPaid, paymentStatus: existing.paymentStatus, payment },
+        after: { amountPaid: updated.amountPaid, paymentStatus: updated.paymentStatus, payment: voided }
+      });
+
+      return updated;
+    });
+
     res.json(order);
   } catch (error) {
-    console.error('Reject order error:', error);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Void payment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a sold order for a printable document, applying the same
+// visibility rules as GET /api/orders
+const findOrderForDocument = async (req) => {
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    include: {
+      customer: true,
+      salesRep: {
+        select: { username: true }
+      },
+      orderItems: {
+        include: {
+          stockItem: true
+        }
+      }
+    }
+  });
+
+  if (!order || (req.user.role === 'SALES_REPRESENTATIVE' && order.salesRepId !== req.user.id)) {
+    throw new HttpError(404, 'Order not found');
+  }
+
+  if (!SOLD_STATUSES.includes(order.status)) {
+    throw new HttpError(400, 'Documents are only available for approved or delivered orders');
+  }
+
+  return order;
+};
+
+const sendPdf = (res, filename, buffer) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buffer);
+};
+
+// Download invoice PDF
+router.get('/:id/invoice.pdf', authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrderForDocument(req);
+
+    sendPdf(res, `${order.invoiceNumber || order.id}.pdf`, buildInvoicePdf(order));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Generate invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download delivery note PDF
+router.get('/:id/delivery-note.pdf', authenticateToken, async (req, res) => {
+  try {
+    const order = await findOrderForDocument(req);
+
+    sendPdf(res, `delivery-note-${order.orderNumber || order.id}.pdf`, buildDeliveryNotePdf(order));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Generate delivery note error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -0,0 +1,85 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { ROLES, PERMISSIONS, isProtectedGrant, loadPermissions, permissionsForRole } = require('../lib/permissions');
+
+const router = express.Router();
+
+// Permissions held by the signed-in user, for showing and hiding UI
+router.get('/mine', authenticateToken, (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: permissionsForRole(req.user.role)
+  });
+});
+
+// Get the permission matrix: every permission with the roles holding it now
+// and the roles that held it by default
+router.get('/', authenticateToken, requirePermission('permission.manage'), async (req, res) => {
+  try {
+    const grants = await prisma.rolePermission.findMany();
+
+    const permissions = Object.entries(PERMISSIONS).map(([name, { description, roles }]) => ({
+      name,
+      description,
+      roles: ROLES.filter(role => isProtectedGrant(role, name) ||
+        grants.some(grant => grant.role === role && grant.permission === name)),
+      defaultRoles: roles
+    }));
+
+    res.json({ roles: ROLES, permissions });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set which roles hold a permission. Body: { roles: ['ADMIN', 'MANAGER'] }
+router.put('/:name', authenticateToken, requirePermission('permission.manage'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { roles } = req.body;
+
+    if (!PERMISSIONS[name]) {
+      return res.status(404).json({ error: 'Permission not found' });
+    }
+
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({ error: `Roles must be a list of: ${ROLES.join(', ')}` });
+    }
+
+    const missing = ROLES.find(role => isProtectedGrant(role, name) && !roles.includes(role));
+    if (missing) {
+      return res.status(400).json({ error: `${missing} always holds ${name}` });
+    }
+
+    const granted = Array.from(new Set(roles));
+
+    await prisma.$transaction(async (tx) => {
+      const before = await tx.rolePermission.findMany({ where: { permission: name } });
+
+      await tx.rolePermission.deleteMany({ where: { permission: name } });
+      await tx.rolePermission.createMany({
+        data: granted.map(role => ({ role, permission: name }))
+      });
+
+      await recordAudit(tx, req, {
+        action: 'permission.update',
+        entityType: 'Permission',
+        entityId: name,
+        before: { roles: before.map(grant => grant.role) },
+        after: { roles: granted }
+      });
+    });
+
+    await loadPermissions();
+
+    res.json({ name, roles: ROLES.filter(role => granted.includes(role)) });
+  } catch (error) {
+    console.error('Update permission error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
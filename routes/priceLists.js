@@ -0,0 +1,256 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { findActiveCustomer } = require('../lib/customers');
+const { resolveListPrice, priceFloor } = require('../lib/pricing');
+
+const router = express.Router();
+
+const priceListInclude = {
+  items: {
+    include: {
+      stockItem: {
+        select: { id: true, name: true }
+      }
+    },
+    orderBy: { stockItem: { name: 'asc' } }
+  }
+};
+
+// Get price lists
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const priceLists = await prisma.priceList.findMany({
+      include: {
+        _count: {
+          select: { items: true, customers: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(priceLists);
+  } catch (error) {
+    console.error('Get price lists error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Quote the prices a customer would get (?customerId=&stockItemIds=a,b)
+router.get('/quote', authenticateToken, async (req, res) => {
+  try {
+    const { customerId, stockItemIds } = req.query;
+
+    if (!stockItemIds) {
+      return res.status(400).json({ error: 'Stock item ids are required' });
+    }
+
+    const customer = customerId ? await findActiveCustomer(prisma, customerId) : null;
+
+    if (customerId && !customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const stockItems = await prisma.stockItem.findMany({
+      where: { id: { in: String(stockItemIds).split(',') } }
+    });
+
+    const quotes = [];
+    for (const stockItem of stockItems) {
+      const listPrice = await resolveListPrice(prisma, stockItem, customer);
+      quotes.push({
+        stockItemId: stockItem.id,
+        name: stockItem.name,
+        price: listPrice ? listPrice.price : null,
+        minPrice: listPrice ? priceFloor(listPrice) : null,
+        source: listPrice ? listPrice.source : null
+      });
+    }
+
+    res.json(quotes);
+  } catch (error) {
+    console.error('Quote prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a price list with its items
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const priceList = await prisma.priceList.findUnique({
+      where: { id: req.params.id },
+      include: priceListInclude
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    res.json(priceList);
+  } catch (error) {
+    console.error('Get price list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create price list (Manager only)
+router.post('/', authenticateToken, requirePermission('price_list.manage'), async (req, res) => {
+  try {
+    const { name, description, isDefault = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Price list name is required' });
+    }
+
+    const existing = await prisma.priceList.findUnique({ where: { name } });
+
+    if (existing) {
+      return res.status(400).json({ error: 'Price list with this name already exists' });
+    }
+
+    const priceList = await prisma.$transaction(async (tx) => {
+      // Only one list can be the default
+      if (isDefault) {
+        await tx.priceList.updateMany({ data: { isDefault: false } });
+      }
+
+      return tx.priceList.create({
+        data: { name, description, isDefault: Boolean(isDefault) }
+      });
+    });
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    console.error('Create price list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update price list (Manager only)
+router.patch('/:id', authenticateToken, requirePermission('price_list.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, isDefault, isActive } = req.body;
+
+    const existing = await prisma.priceList.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    if (name && name !== existing.name) {
+      const duplicate = await prisma.priceList.findUnique({ where: { name } });
+
+      if (duplicate) {
+        return res.status(409).json({ error: 'Price list with this name already exists' });
+      }
+    }
+
+    const priceList = await prisma.$transaction(async (tx) => {
+      if (isDefault === true) {
+        await tx.priceList.updateMany({
+          where: { id: { not: id } },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.priceList.update({
+        where: { id },
+        data: { name, description, isDefault, isActive }
+      });
+    });
+
+    res.json(priceList);
+  } catch (error) {
+    // Another request took the name between the check and the update
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Price list with this name already exists' });
+    }
+    console.error('Update price list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set prices on a price list (Manager only).
+// Body: { items: [{ stockItemId, price, minPrice }] }; listed items are upserted.
+router.put('/:id/items', authenticateToken, requirePermission('price_list.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    for (const item of items) {
+      const price = parseFloat(item.price);
+      const minPrice = item.minPrice === undefined || item.minPrice === null ? null : parseFloat(item.minPrice);
+
+      if (!item.stockItemId || !(price >= 0) || (minPrice !== null && !(minPrice >= 0 && minPrice <= price))) {
+        return res.status(400).json({ error: 'Each item needs a stock item, a non-negative price and a minimum price no higher than the price' });
+      }
+    }
+
+    const existing = await prisma.priceList.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    const stockItemIds = [...new Set(items.map(item => item.stockItemId))];
+    const stockItems = await prisma.stockItem.findMany({
+      where: { id: { in: stockItemIds } },
+      select: { id: true }
+    });
+
+    if (stockItems.length !== stockItemIds.length) {
+      const missing = stockItemIds.filter(stockItemId => !stockItems.some(item => item.id === stockItemId));
+      return res.status(400).json({ error: `Stock items not found: ${missing.join(', ')}` });
+    }
+
+    await prisma.$transaction(
+      items.map(item => {
+        const data = {
+          price: parseFloat(item.price),
+          minPrice: item.minPrice === undefined || item.minPrice === null ? null : parseFloat(item.minPrice)
+        };
+
+        return prisma.priceListItem.upsert({
+          where: {
+            priceListId_stockItemId: { priceListId: id, stockItemId: item.stockItemId }
+          },
+          update: data,
+          create: { ...data, priceListId: id, stockItemId: item.stockItemId }
+        });
+      })
+    );
+
+    const priceList = await prisma.priceList.findUnique({
+      where: { id },
+      include: priceListInclude
+    });
+
+    res.json(priceList);
+  } catch (error) {
+    console.error('Set price list items error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an item from a price list (Manager only)
+router.delete('/:id/items/:stockItemId', authenticateToken, requirePermission('price_list.manage'), async (req, res) => {
+  try {
+    const { id, stockItemId } = req.params;
+
+    await prisma.priceListItem.deleteMany({
+      where: { priceListId: id, stockItemId }
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Remove price list item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
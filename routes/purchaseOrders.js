@@ -0,0 +1,378 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { applyStockMovement } = require('../lib/stockMovements');
+const { HttpError } = require('../lib/errors');
+const { resolveLocation, assertLocationAccess } = require('../lib/locations');
+
+const router = express.Router();
+
+const PURCHASE_ORDER_STATUSES = ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED'];
+
+// Optional expected delivery date; throws for anything that isn't a date
+const parseExpectedAt = (expectedAt) => {
+  if (!expectedAt) return null;
+
+  const date = new Date(expectedAt);
+  if (isNaN(date.getTime())) {
+    throw new HttpError(400, 'Expected date is not a valid date');
+  }
+
+  return date;
+};
+
+const purchaseOrderInclude = {
+  supplier: {
+    select: { id: true, name: true, type: true }
+  },
+  createdBy: {
+    select: { username: true }
+  },
+  items: {
+    include: {
+      stockItem: {
+        select: { id: true, name: true }
+      }
+    }
+  },
+  receipts: {
+    include: {
+      receivedBy: {
+        select: { username: true }
+      },
+      items: true
+    },
+    orderBy: { receivedAt: 'asc' }
+  }
+};
+
+// Validate purchase order lines and shape them for Prisma
+const buildPurchaseOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'At least one item is required');
+  }
+
+  const purchaseOrderItems = [];
+
+  for (const item of items) {
+    const quantityOrdered = parseInt(item.quantity);
+    const unitCost = parseFloat(item.unitCost);
+
+    if (!(quantityOrdered > 0) || !(unitCost >= 0)) {
+      throw new HttpError(400, 'Each item needs a positive quantity and a non-negative unit cost');
+    }
+
+    const stockItem = await prisma.stockItem.findUnique({
+      where: { id: item.stockItemId }
+    });
+
+    if (!stockItem) {
+      throw new HttpError(400, `Stock item not found: ${item.stockItemId}`);
+    }
+
+    if (stockItem.archivedAt) {
+      throw new HttpError(400, `${stockItem.name} is archived and can't be ordered`);
+    }
+
+    purchaseOrderItems.push({
+      stockItemId: item.stockItemId,
+      quantityOrdered,
+      unitCost
+    });
+  }
+
+  return purchaseOrderItems;
+};
+
+// Get purchase orders
+router.get('/', authenticateToken, requirePermission('purchase_order.view'), async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+
+    if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = supplierId;
+
+    const purchaseOrders = await prisma.purchaseOrder.findMany({
+      where,
+      include: purchaseOrderInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(purchaseOrders);
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single purchase order
+router.get('/:id', authenticateToken, requirePermission('purchase_order.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id: req.params.id },
+      include: purchaseOrderInclude
+    });
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create draft purchase order (Manager only)
+router.post('/', authenticateToken, requirePermission('purchase_order.manage'), async (req, res) => {
+  try {
+    const { supplierId, notes, expectedAt, items } = req.body;
+
+    if (!supplierId) {
+      return res.status(400).json({ error: 'Supplier is required' });
+    }
+
+    const supplier = await prisma.supplier.findUnique({
+      where: { id: supplierId }
+    });
+
+    if (!supplier || !supplier.isActive) {
+      return res.status(400).json({ error: 'Supplier not found or inactive' });
+    }
+
+    const expectedDate = parseExpectedAt(expectedAt);
+    const purchaseOrderItems = await buildPurchaseOrderItems(items);
+
+    const purchaseOrder = await prisma.purchaseOrder.create({
+      data: {
+        supplierId,
+        notes,
+        expectedAt: expectedDate,
+        createdById: req.user.id,
+        items: {
+          create: purchaseOrderItems
+        }
+      },
+      include: purchaseOrderInclude
+    });
+
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the lines of a draft purchase order (Manager only)
+router.put('/:id', authenticateToken, requirePermission('purchase_order.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, expectedAt, items } = req.body;
+
+    const existing = await prisma.purchaseOrder.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be edited' });
+    }
+
+    const expectedDate = parseExpectedAt(expectedAt);
+    const purchaseOrderItems = await buildPurchaseOrderItems(items);
+
+    const purchaseOrder = await prisma.$transaction(async (tx) => {
+      await tx.purchaseOrderItem.deleteMany({
+        where: { purchaseOrderId: id }
+      });
+
+      return tx.purchaseOrder.update({
+        where: { id },
+        data: {
+          notes,
+          expectedAt: expectedDate,
+          items: {
+            create: purchaseOrderItems
+          }
+        },
+        include: purchaseOrderInclude
+      });
+    });
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Place a draft purchase order with the supplier (Manager only)
+router.patch('/:id/order', authenticateToken, requirePermission('purchase_order.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.purchaseOrder.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json({ error: 'Purchase order is not a draft' });
+    }
+
+    const purchaseOrder = await prisma.purchaseOrder.update({
+      where: { id },
+      data: {
+        status: 'ORDERED',
+        orderedAt: new Date()
+      },
+      include: purchaseOrderInclude
+    });
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('Place purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive goods against a purchase order (Manager or Store Keeper) into
+// `locationId`, or the default location
+router.post('/:id/receipts', authenticateToken, requirePermission('purchase_order.receive'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, items, locationId } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one received item is required' });
+    }
+
+    const location = await resolveLocation(prisma, locationId);
+    await assertLocationAccess(prisma, req.user, location);
+
+    await prisma.$transaction(async (tx) => {
+      // Lock the purchase order so concurrent receipts on different lines
+      // queue up and the last one sees every line when it sets the status
+      await tx.$queryRaw`SELECT "id" FROM "purchase_orders" WHERE "id" = ${id} FOR UPDATE`;
+
+      const purchaseOrder = await tx.purchaseOrder.findUnique({
+        where: { id },
+        include: { items: true }
+      });
+
+      if (!purchaseOrder) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+
+      if (!['ORDERED', 'PARTIALLY_RECEIVED'].includes(purchaseOrder.status)) {
+        throw new HttpError(400, 'Purchase order is not open for receiving');
+      }
+
+      const receipt = await tx.goodsReceipt.create({
+        data: {
+          purchaseOrderId: id,
+          receivedById: req.user.id,
+          notes
+        }
+      });
+
+      for (const item of items) {
+        const line = purchaseOrder.items.find(poItem => poItem.id === item.purchaseOrderItemId);
+
+        if (!line) {
+          throw new HttpError(400, `Purchase order item not found: ${item.purchaseOrderItemId}`);
+        }
+
+        // Landed cost defaults to the agreed price when freight/duty is not known yet
+        const quantity = parseInt(item.quantity);
+        const landedUnitCost = item.landedUnitCost !== undefined
+          ? parseFloat(item.landedUnitCost)
+          : line.unitCost;
+
+        if (!(quantity > 0) || !(landedUnitCost >= 0)) {
+          throw new HttpError(400, 'Each received item needs a positive quantity and a non-negative landed cost');
+        }
+
+        // Guarded increment so concurrent receipts can never over-receive a line
+        const updated = await tx.purchaseOrderItem.update({
+          where: { id: line.id },
+          data: {
+            quantityReceived: {
+              increment: quantity
+            }
+          }
+        });
+
+        if (updated.quantityReceived > updated.quantityOrdered) {
+          throw new HttpError(400, 'Received quantity exceeds the outstanding quantity');
+        }
+
+        await tx.goodsReceiptItem.create({
+          data: {
+            goodsReceiptId: receipt.id,
+            purchaseOrderItemId: line.id,
+            quantity,
+            landedUnitCost
+          }
+        });
+
+        await applyStockMovement(tx, {
+          stockItemId: line.stockItemId,
+          locationId: location.id,
+          type: 'RECEIPT',
+          quantity,
+          userId: req.user.id,
+          goodsReceiptId: receipt.id,
+          unitCost: landedUnitCost,
+          reason: `Goods received on purchase order ${id}`
+        });
+      }
+
+      // Fresh totals, including this receipt's increments
+      const lines = await tx.purchaseOrderItem.findMany({
+        where: { purchaseOrderId: id }
+      });
+      const fullyReceived = lines.every(line => line.quantityReceived >= line.quantityOrdered);
+
+      await tx.purchaseOrder.update({
+        where: { id },
+        data: fullyReceived
+          ? { status: 'RECEIVED', receivedAt: new Date() }
+          : { status: 'PARTIALLY_RECEIVED' }
+      });
+    });
+
+    const purchaseOrder = await prisma.purchaseOrder.findUnique({
+      where: { id },
+      include: purchaseOrderInclude
+    });
+
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Receive goods error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
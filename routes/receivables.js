@@ -0,0 +1,106 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ageingBucket, emptyBuckets } = require('../lib/payments');
+const { SOLD_STATUSES } = require('../lib/orderStateMachine');
+const { parseDateBoundary } = require('../lib/businessTime');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Add an order's balance to a running group (per customer or per sales rep)
+const addToGroup = (groups, key, label, entry) => {
+  if (!groups.has(key)) {
+    groups.set(key, { ...label, outstanding: 0, orders: 0, buckets: emptyBuckets() });
+  }
+  const group = groups.get(key);
+  group.outstanding += entry.balance;
+  group.orders += 1;
+  group.buckets[entry.bucket] += entry.balance;
+};
+
+// Get outstanding balances with ageing (Admin and Manager; sales reps see their own)
+router.get('/', authenticateToken, requirePermission('receivable.view'), async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? parseDateBoundary(req.query.asOf, 'end') : new Date();
+
+    if (!asOf) {
+      return res.status(400).json({ error: 'asOf must be a valid date' });
+    }
+
+    const where = {
+      status: { in: SOLD_STATUSES },
+      paymentStatus: { not: 'PAID' }
+    };
+
+    if (req.user.role === 'SALES_REPRESENTATIVE') {
+      where.salesRepId = req.user.id;
+    }
+
+    const orders = await prisma.order.findMany({
+      where,
+      include: {
+        salesRep: {
+          select: { id: true, username: true }
+        }
+      },
+      orderBy: { approvedAt: 'asc' }
+    });
+
+    const totals = { outstanding: 0, buckets: emptyBuckets() };
+    const byCustomer = new Map();
+    const bySalesRep = new Map();
+
+    const entries = orders.map(order => {
+      // Invoices age from approval, which is when the customer owes the money
+      const since = order.approvedAt || order.createdAt;
+      const ageDays = Math.max(0, Math.floor((asOf - since) / DAY_MS));
+      const entry = {
+        orderId: order.id,
+        customerId: order.customerId,
+        customerName: order.customerName,
+        salesRep: order.salesRep.username,
+        approvedAt: order.approvedAt,
+        totalAmount: order.totalAmount,
+        amountPaid: order.amountPaid,
+        balance: order.totalAmount - order.amountPaid,
+        ageDays,
+        bucket: ageingBucket(ageDays)
+      };
+
+      totals.outstanding += entry.balance;
+      totals.buckets[entry.bucket] += entry.balance;
+
+      addToGroup(
+        byCustomer,
+        order.customerId || `name:${order.customerName}`,
+        { customerId: order.customerId, customerName: order.customerName },
+        entry
+      );
+      addToGroup(
+        bySalesRep,
+        order.salesRep.id,
+        { salesRepId: order.salesRep.id, salesRep: order.salesRep.username },
+        entry
+      );
+
+      return entry;
+    });
+
+    const byOutstanding = (a, b) => b.outstanding - a.outstanding;
+
+    res.json({
+      asOf,
+      totals,
+      byCustomer: [...byCustomer.values()].sort(byOutstanding),
+      bySalesRep: [...bySalesRep.values()].sort(byOutstanding),
+      orders: entries
+    });
+  } catch (error) {
+    console.error('Get receivables error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,164 @@
 const express = require('express');
 const { prisma } = require('../lib/prisma');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { applyStockMovement, setStockQuantity } = require('../lib/stockMovements');
+const { buyingPriceUpdate } = require('../lib/costing');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { IMPORT_COLUMNS, planStockImport, summarizePlan } = require('../lib/stockImport');
+const { parsePagination, parseSort, paginated } = require('../lib/pagination');
+const { releaseExpiredReservations } = require('../lib/reservations');
+const { resolveLocation, allowedLocationIds } = require('../lib/locations');
+const { HttpError } = require('../lib/errors');
+const { recordAudit } = require('../lib/audit');
+const { planReplenishment, belowReorderPointIds } = require('../lib/replenishment');
+const { parseAttributes, attributesForNewItem, facetFilters, facetCounts } = require('../lib/catalogue');
 
 const router = express.Router();
 
-// Get all stock items
+const STOCK_SORT_FIELDS = ['name', 'quantity', 'buyingPrice', 'sellingPrice', 'thicknessMm', 'updatedAt'];
+const REORDER_FIELDS = ['reorderPoint', 'reorderQuantity', 'leadTimeDays'];
+
+// Reorder settings present in a request body. Null clears a setting so it is
+// worked out from history again; returns null when a value is invalid.
+const parseReorderSettings = (body) => {
+  const data = {};
+
+  for (const field of REORDER_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null) {
+      data[field] = null;
+    } else if (Number.isInteger(Number(value)) && Number(value) >= 0) {
+      data[field] = Number(value);
+    } else {
+      return null;
+    }
+  }
+
+  return data;
+};
+
+// SKU or barcode already used by another item, or null
+const identifierClash = async (attributes, excludeId = null) => {
+  for (const field of ['sku', 'barcode']) {
+    if (!attributes[field]) continue;
+
+    const other = await prisma.stockItem.findUnique({ where: { [field]: attributes[field] } });
+    if (other && other.id !== excludeId) {
+      return `${field === 'sku' ? 'SKU' : 'Barcode'} ${attributes[field]} is already used by ${other.name}`;
+    }
+  }
+
+  return null;
+};
+
+// Per-location levels and in-transit totals for a page of items. Store
+// keepers limited to some locations only see those in the breakdown.
+const locationBreakdown = async (req, stockItemIds) => {
+  const allowed = await allowedLocationIds(prisma, req.user);
+  const { locationId } = req.query;
+
+  const levelWhere = {
+    stockItemId: { in: stockItemIds },
+    location: { isActive: true }
+  };
+  if (allowed) levelWhere.locationId = { in: locationId ? allowed.filter(id => id === locationId) : allowed };
+  else if (locationId) levelWhere.locationId = locationId;
+
+  const [levels, inTransit] = await Promise.all([
+    prisma.stockLevel.findMany({
+      where: levelWhere,
+      include: {
+        location: {
+          select: { id: true, name: true, type: true }
+        }
+      },
+      orderBy: { location: { name: 'asc' } }
+    }),
+    prisma.stockTransferItem.groupBy({
+      by: ['stockItemId'],
+      where: {
+        stockItemId: { in: stockItemIds },
+        transfer: { status: 'IN_TRANSIT' }
+      },
+      _sum: { quantity: true }
+    })
+  ]);
+
+  return {
+    levels: (stockItemId) => levels
+      .filter(level => level.stockItemId === stockItemId)
+      .map(level => ({
+        locationId: level.location.id,
+        name: level.location.name,
+        type: level.location.type,
+        quantity: level.quantity
+      })),
+    inTransit: (stockItemId) => {
+      const row = inTransit.find(entry => entry.stockItemId === stockItemId);
+      return row ? row._sum.quantity : 0;
+    }
+  };
+};
+
+// Get stock items (?search= on name, SKU or barcode, ?lowStock=true for items
+// at their reorder point, paginated). Faceted filters: ?category=, ?material=,
+// ?thicknessMm=, ?minThickness=, ?maxThickness=, ?finish=, ?origin=,
+// ?unitOfMeasure= (comma-separated values match any); ?facets=true adds value counts.
+// ?breakdown=true adds per-location quantities; ?locationId= narrows them.
+// Archived items are left out; ?archived=true lists only them, ?archived=all both.
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const stockItems = await prisma.stockItem.findMany({
-      orderBy: { name: 'asc' }
-    });
+    const { search, lowStock, breakdown, facets, archived } = req.query;
+    const pagination = parsePagination(req.query);
+    const orderBy = parseSort(req.query, STOCK_SORT_FIELDS, 'name');
+
+    const baseWhere = {};
+    if (archived === 'true') baseWhere.archivedAt = { not: null };
+    else if (archived !== 'all') baseWhere.archivedAt = null;
+    if (search) {
+      baseWhere.OR = ['name', 'sku', 'barcode'].map(field => ({
+        [field]: { contains: search, mode: 'insensitive' }
+      }));
+    }
+
+    await releaseExpiredReservations();
 
-    res.json(stockItems);
+    if (lowStock === 'true') baseWhere.id = { in: await belowReorderPointIds() };
+
+    const filters = facetFilters(req.query);
+    const where = { AND: [baseWhere, ...Object.values(filters)] };
+
+    const [stockItems, total] = await Promise.all([
+      prisma.stockItem.findMany({
+        where,
+        orderBy,
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.stockItem.count({ where })
+    ]);
+
+    // Available is what can still be promised to a new order
+    let data = stockItems.map(item => ({
+      ...item,
+      availableQuantity: item.quantity - item.reservedQuantity
+    }));
+
+    if (breakdown === 'true' || req.query.locationId) {
+      const locations = await locationBreakdown(req, stockItems.map(item => item.id));
+      data = data.map(item => ({
+        ...item,
+        locations: locations.levels(item.id),
+        inTransitQuantity: locations.inTransit(item.id)
+      }));
+    }
+
+    const result = paginated(data, total, pagination);
+    if (facets === 'true') result.facets = await facetCounts(prisma, baseWhere, filters);
+
+    res.json(result);
   } catch (error) {
     console.error('Get stock items error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -19,18 +166,32 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Add new stock item (Manager only)
-router.post('/', authenticateToken, requireRole(['MANAGER']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('stock.create'), async (req, res) => {
   try {
-    const { name, quantity, buyingPrice } = req.body;
+    const { name, quantity, buyingPrice, sellingPrice, locationId } = req.body;
 
     if (!name || quantity === undefined || buyingPrice === undefined) {
       return res.status(400).json({ error: 'Name, quantity, and buying price are required' });
     }
 
-    if (quantity < 0 || buyingPrice < 0) {
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+      return res.status(400).json({ error: 'Quantity must be a whole number of zero or more' });
+    }
+
+    if (buyingPrice < 0 || (sellingPrice !== undefined && sellingPrice < 0)) {
       return res.status(400).json({ error: 'Values must be non-negative' });
     }
 
+    const reorderSettings = parseReorderSettings(req.body);
+    if (!reorderSettings) {
+      return res.status(400).json({ error: 'Reorder point, reorder quantity and lead time must be whole numbers of zero or more' });
+    }
+
+    const attributes = parseAttributes(req.body);
+    if (attributes.error) {
+      return res.status(400).json({ error: attributes.error });
+    }
+
     const existingItem = await prisma.stockItem.findUnique({
       where: { name }
     });
@@ -39,41 +200,488 @@ router.post('/', authenticateToken, requireRole(['MANAGER']), async (req, res) =
       return res.status(400).json({ error: 'Item with this name already exists' });
     }
 
-    const stockItem = await prisma.stockItem.create({
-      data: {
-        name,
-        quantity: parseInt(quantity),
-        buyingPrice: parseFloat(buyingPrice)
+    const clash = await identifierClash(attributes.data);
+    if (clash) {
+      return res.status(400).json({ error: clash });
+    }
+
+    const openingQuantity = Number(quantity);
+    const location = await resolveLocation(prisma, locationId);
+
+    const stockItem = await prisma.$transaction(async (tx) => {
+      const created = await tx.stockItem.create({
+        data: {
+          name,
+          quantity: 0,
+          buyingPrice: parseFloat(buyingPrice),
+          averageCost: parseFloat(buyingPrice),
+          sellingPrice: sellingPrice !== undefined ? parseFloat(sellingPrice) : null,
+          ...attributesForNewItem(name, attributes.data),
+          ...reorderSettings
+        }
+      });
+
+      // Opening quantity is recorded as the item's first receipt
+      if (openingQuantity > 0) {
+        await applyStockMovement(tx, {
+          stockItemId: created.id,
+          locationId: location.id,
+          type: 'RECEIPT',
+          quantity: openingQuantity,
+          userId: req.user.id,
+          unitCost: parseFloat(buyingPrice),
+          reason: 'Opening balance'
+        });
       }
+
+      const result = await tx.stockItem.findUnique({ where: { id: created.id } });
+      await recordAudit(tx, req, {
+        action: 'stock.create',
+        entityType: 'StockItem',
+        entityId: created.id,
+        after: result
+      });
+
+      return result;
     });
 
     res.status(201).json(stockItem);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create stock item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Items due for reordering: days of cover left and a suggested order quantity.
+// ?all=true lists every item with its reorder position; ?search= narrows by name.
+router.get('/replenishment', authenticateToken, requirePermission('stock.replenishment.view'), async (req, res) => {
+  try {
+    const { search, all } = req.query;
+
+    const where = { archivedAt: null };
+    if (search) where.name = { contains: search, mode: 'insensitive' };
+
+    await releaseExpiredReservations();
+
+    const { settings, items } = await planReplenishment(where);
+
+    // Soonest to run out first; items that aren't selling go last
+    const data = items
+      .filter(item => all === 'true' || item.belowReorderPoint)
+      .sort((a, b) => (a.daysOfCover === null) - (b.daysOfCover === null) || a.daysOfCover - b.daysOfCover);
+
+    res.json({
+      generatedAt: new Date(),
+      settings,
+      items: data
+    });
+  } catch (error) {
+    console.error('Get replenishment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export the catalogue as CSV (Admin and Manager).
+// Quantities are totals, or the counts at ?locationId= to round-trip an import.
+// Archived items are left out.
+router.get('/export.csv', authenticateToken, requirePermission('stock.export'), async (req, res) => {
+  try {
+    let stockItems = await prisma.stockItem.findMany({
+      where: { archivedAt: null },
+      orderBy: { name: 'asc' }
+    });
+
+    if (req.query.locationId) {
+      const location = await resolveLocation(prisma, req.query.locationId);
+      const levels = await prisma.stockLevel.findMany({ where: { locationId: location.id } });
+      stockItems = stockItems.map(item => {
+        const level = levels.find(entry => entry.stockItemId === item.id);
+        return { ...item, quantity: level ? level.quantity : 0 };
+      });
+    }
+
+    const rows = [
+      IMPORT_COLUMNS,
+      ...stockItems.map(item => IMPORT_COLUMNS.map(column => item[column]))
+    ];
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="stock-${date}.csv"`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Export stock error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import stock from CSV, upserting by name (Manager only).
+// Accepts a text/csv body or JSON { csv }; ?dryRun=true only reports the plan.
+// Quantities are counts at ?locationId= (the default location when omitted).
+router.post(
+  '/import',
+  authenticateToken,
+  requirePermission('stock.import'),
+  express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+
+      if (!csv) {
+        return res.status(400).json({ error: 'CSV content is required' });
+      }
+
+      const location = await resolveLocation(prisma, req.query.locationId || (req.body && req.body.locationId));
+
+      // Compare the file against what is on hand at the target location
+      const [catalogue, levels] = await Promise.all([
+        prisma.stockItem.findMany(),
+        prisma.stockLevel.findMany({ where: { locationId: location.id } })
+      ]);
+      const existingItems = catalogue.map(item => {
+        const level = levels.find(entry => entry.stockItemId === item.id);
+        return { ...item, quantity: level ? level.quantity : 0 };
+      });
+      const { errors, plan } = planStockImport(parseCsv(csv), existingItems);
+      const summary = summarizePlan(plan);
+
+      const report = {
+        dryRun,
+        location: { id: location.id, name: location.name },
+        valid: errors.length === 0,
+        summary,
+        errors,
+        rows: plan
+      };
+
+      if (dryRun) {
+        return res.json(report);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Import has validation errors', ...report });
+      }
+
+      // All rows are applied together or not at all
+      await prisma.$transaction(async (tx) => {
+        for (const entry of plan) {
+          if (entry.action === 'created') {
+            const created = await tx.stockItem.create({
+              data: {
+                name: entry.name,
+                quantity: 0,
+                buyingPrice: entry.values.buyingPrice,
+                averageCost: entry.values.buyingPrice,
+                sellingPrice: entry.values.sellingPrice,
+                ...attributesForNewItem(entry.name, {})
+              }
+            });
+
+            if (entry.values.quantity > 0) {
+              await applyStockMovement(tx, {
+                stockItemId: created.id,
+                locationId: location.id,
+                type: 'RECEIPT',
+                quantity: entry.values.quantity,
+                userId: req.user.id,
+                unitCost: entry.values.buyingPrice,
+                reason: 'Opening balance (CSV import)'
+              });
+            }
+          } else if (entry.action === 'updated') {
+            const { changes } = entry;
+            const current = await tx.stockItem.findUnique({ where: { id: entry.stockItemId } });
+            const data = {};
+
+            if (changes.buyingPrice) Object.assign(data, buyingPriceUpdate(current, changes.buyingPrice.to));
+            if (changes.sellingPrice) data.sellingPrice = changes.sellingPrice.to;
+
+            if (Object.keys(data).length > 0) {
+              await tx.stockItem.update({ where: { id: entry.stockItemId }, data });
+            }
+
+            if (changes.quantity) {
+              await setStockQuantity(tx, {
+                stockItemId: entry.stockItemId,
+                locationId: location.id,
+                quantity: changes.quantity.to,
+                type: 'ADJUSTMENT',
+                userId: req.user.id,
+                reason: 'CSV import'
+              });
+            }
+          }
+        }
+
+        // One entry per import; the plan rows carry each item's from/to values
+        await recordAudit(tx, req, {
+          action: 'stock.import',
+          entityType: 'StockItem',
+          after: { location: report.location, summary, rows: plan.filter(entry => entry.action !== 'unchanged') }
+        });
+      }, { timeout: 60000 });
+
+      res.json(report);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Import stock error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 // Update stock item (Manager only)
-router.patch('/:id', authenticateToken, requireRole(['MANAGER']), async (req, res) => {
+router.patch('/:id', authenticateToken, requirePermission('stock.adjust'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity, buyingPrice } = req.body;
+    const { quantity, locationId, buyingPrice, sellingPrice, reason, movementType = 'ADJUSTMENT' } = req.body;
+
+    if (!['ADJUSTMENT', 'CORRECTION'].includes(movementType)) {
+      return res.status(400).json({ error: 'Movement type must be ADJUSTMENT or CORRECTION' });
+    }
 
-    const updateData = {};
-    if (quantity !== undefined) updateData.quantity = parseInt(quantity);
-    if (buyingPrice !== undefined) updateData.buyingPrice = parseFloat(buyingPrice);
+    if (quantity !== undefined && (isNaN(parseInt(quantity)) || parseInt(quantity) < 0)) {
+      return res.status(400).json({ error: 'Quantity must be a non-negative number' });
+    }
+
+    if (sellingPrice !== undefined && sellingPrice !== null && !(parseFloat(sellingPrice) >= 0)) {
+      return res.status(400).json({ error: 'Selling price must be a non-negative number' });
+    }
 
-    const stockItem = await prisma.stockItem.update({
-      where: { id },
-      data: updateData
+    const reorderSettings = parseReorderSettings(req.body);
+    if (!reorderSettings) {
+      return res.status(400).json({ error: 'Reorder point, reorder quantity and lead time must be whole numbers of zero or more' });
+    }
+
+    const attributes = parseAttributes(req.body);
+    if (attributes.error) {
+      return res.status(400).json({ error: attributes.error });
+    }
+
+    const existingItem = await prisma.stockItem.findUnique({
+      where: { id }
+    });
+
+    if (!existingItem) {
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+
+    const clash = await identifierClash(attributes.data, id);
+    if (clash) {
+      return res.status(400).json({ error: clash });
+    }
+
+    const stockItem = await prisma.$transaction(async (tx) => {
+      if (buyingPrice !== undefined) {
+        await tx.stockItem.update({
+          where: { id },
+          data: buyingPriceUpdate(existingItem, parseFloat(buyingPrice))
+        });
+      }
+
+      // Fallback price for customers whose price lists don't cover this item
+      if (sellingPrice !== undefined) {
+        await tx.stockItem.update({
+          where: { id },
+          data: { sellingPrice: sellingPrice === null ? null : parseFloat(sellingPrice) }
+        });
+      }
+
+      // Catalogue attributes; empty values clear them
+      if (Object.keys(attributes.data).length > 0) {
+        await tx.stockItem.update({
+          where: { id },
+          data: attributes.data
+        });
+      }
+
+      if (Object.keys(reorderSettings).length > 0) {
+        await tx.stockItem.update({
+          where: { id },
+          data: reorderSettings
+        });
+      }
+
+      // The manager sends the quantity counted at a location (the default when
+      // omitted); the ledger records the difference
+      if (quantity !== undefined) {
+        const location = await resolveLocation(tx, locationId);
+
+        await setStockQuantity(tx, {
+          stockItemId: id,
+          locationId: location.id,
+          quantity: parseInt(quantity),
+          type: movementType,
+          userId: req.user.id,
+          reason: reason || null
+        });
+      }
+
+      const updated = await tx.stockItem.findUnique({ where: { id } });
+      await recordAudit(tx, req, {
+        action: 'stock.update',
+        entityType: 'StockItem',
+        entityId: id,
+        before: existingItem,
+        after: updated
+      });
+
+      return updated;
     });
 
     res.json(stockItem);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update stock item error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Archive a discontinued item. It keeps its history and stock levels but drops
+// out of listings and can't be ordered. Not while pending orders include it.
+router.delete('/:id', authenticateToken, requirePermission('stock.archive'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const stockItem = await prisma.$transaction(async (tx) => {
+      // Reserving stock for an order updates this row, so holding its lock
+      // means no order can take the item between this check and the archive
+      // (see reserveStock)
+      await tx.$queryRaw`SELECT "id" FROM "stock_items" WHERE "id" = ${id} FOR UPDATE`;
+
+      const existing = await tx.stockItem.findUnique({ where: { id } });
+
+      if (!existing) {
+        throw new HttpError(404, 'Stock item not found');
+      }
+
+      if (existing.archivedAt) {
+        throw new HttpError(400, 'Stock item is already archived');
+      }
+
+      const pendingOrders = await tx.order.findMany({
+        where: {
+          status: 'PENDING',
+          orderItems: { some: { stockItemId: id } }
+        },
+        select: { id: true, orderNumber: true }
+      });
+
+      if (pendingOrders.length > 0) {
+        const references = pendingOrders.map(order => order.orderNumber || order.id).join(', ');
+        throw new HttpError(400, `${existing.name} is on pending orders: ${references}`);
+      }
+
+      const archived = await tx.stockItem.update({
+        where: { id },
+        data: { archivedAt: new Date() }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock.archive',
+        entityType: 'StockItem',
+        entityId: id,
+        before: existing,
+        after: archived
+      });
+
+      return archived;
+    });
+
+    res.json(stockItem);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Archive stock item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bring an archived item back into the range
+router.post('/:id/restore', authenticateToken, requirePermission('stock.archive'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.stockItem.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+
+    if (!existing.archivedAt) {
+      return res.status(400).json({ error: 'Stock item is not archived' });
+    }
+
+    const stockItem = await prisma.$transaction(async (tx) => {
+      const restored = await tx.stockItem.update({
+        where: { id },
+        data: { archivedAt: null }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock.restore',
+        entityType: 'StockItem',
+        entityId: id,
+        before: existing,
+        after: restored
+      });
+
+      return restored;
+    });
+
+    res.json(stockItem);
+  } catch (error) {
+    console.error('Restore stock item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the movement history of a stock item
+router.get('/:id/movements', authenticateToken, requirePermission('stock.movements.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const stockItem = await prisma.stockItem.findUnique({
+      where: { id }
+    });
+
+    if (!stockItem) {
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+
+    const movements = await prisma.stockMovement.findMany({
+      where: { stockItemId: id },
+      include: {
+        user: {
+          select: { username: true }
+        },
+        order: {
+          select: { id: true, customerName: true }
+        },
+        location: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ stockItem, movements });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,330 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { HttpError } = require('../lib/errors');
+const { resolveLocation, allowedLocationIds, assertLocationAccess } = require('../lib/locations');
+const { parsePagination, paginated } = require('../lib/pagination');
+const { currentUnitCost } = require('../lib/costing');
+const { facetFilters } = require('../lib/catalogue');
+const { recordAudit } = require('../lib/audit');
+const {
+  STOCK_TAKE_STATUSES,
+  COUNT_MODES,
+  lockCountingStockTake,
+  recordCount,
+  varianceReport,
+  postVariances
+} = require('../lib/stockTakes');
+
+const router = express.Router();
+
+const stockTakeInclude = {
+  location: {
+    select: { id: true, name: true }
+  },
+  startedBy: {
+    select: { username: true }
+  },
+  finalisedBy: {
+    select: { username: true }
+  }
+};
+
+// A stock take with its lines and variance report
+const loadStockTake = async (db, id) => {
+  const stockTake = await db.stockTake.findUnique({
+    where: { id },
+    include: {
+      ...stockTakeInclude,
+      lines: {
+        include: {
+          stockItem: {
+            select: { id: true, name: true, sku: true, unitOfMeasure: true }
+          },
+          countedBy: {
+            select: { username: true }
+          }
+        },
+        orderBy: { stockItem: { name: 'asc' } }
+      }
+    }
+  });
+
+  if (!stockTake) return null;
+
+  const { lines, ...session } = stockTake;
+  const report = varianceReport(lines);
+
+  return {
+    ...session,
+    summary: report.summary,
+    lines: report.lines.map((row, index) => ({
+      ...row,
+      unitOfMeasure: lines[index].stockItem.unitOfMeasure,
+      countedBy: lines[index].countedBy,
+      countedAt: lines[index].countedAt
+    }))
+  };
+};
+
+// Get stock takes (?status=, ?locationId=, paginated).
+// Store keepers limited to some locations only see theirs.
+router.get('/', authenticateToken, requirePermission('stock_take.view'), async (req, res) => {
+  try {
+    const { status, locationId } = req.query;
+    const pagination = parsePagination(req.query);
+    const where = { AND: [] };
+
+    if (STOCK_TAKE_STATUSES.includes(status)) where.status = status;
+    if (locationId) where.AND.push({ locationId });
+
+    const allowed = await allowedLocationIds(prisma, req.user);
+    if (allowed) where.AND.push({ locationId: { in: allowed } });
+
+    const [stockTakes, total] = await Promise.all([
+      prisma.stockTake.findMany({
+        where,
+        include: {
+          ...stockTakeInclude,
+          _count: {
+            select: { lines: true }
+          }
+        },
+        orderBy: { startedAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.stockTake.count({ where })
+    ]);
+
+    res.json(paginated(stockTakes, total, pagination));
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a stock take with its variance report
+router.get('/:id', authenticateToken, requirePermission('stock_take.view'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(prisma, req.params.id);
+
+    if (!stockTake) {
+      return res.status(404).json({ error: 'Stock take not found' });
+    }
+
+    await assertLocationAccess(prisma, req.user, stockTake.location);
+
+    res.json(stockTake);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get stock take error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a stock take at a location, snapshotting expected quantities and costs.
+// Body: { locationId, notes, stockItemIds } plus optional catalogue filters
+// (category, material, ...) to count part of the range; everything by default.
+router.post('/', authenticateToken, requirePermission('stock_take.manage'), async (req, res) => {
+  try {
+    const { locationId, notes, stockItemIds } = req.body;
+
+    if (stockItemIds !== undefined && (!Array.isArray(stockItemIds) || stockItemIds.length === 0)) {
+      return res.status(400).json({ error: 'Stock item ids must be a non-empty list' });
+    }
+
+    const location = await resolveLocation(prisma, locationId);
+    await assertLocationAccess(prisma, req.user, location);
+
+    const itemWhere = { AND: [{ archivedAt: null }, ...Object.values(facetFilters(req.body))] };
+    if (stockItemIds) itemWhere.AND.push({ id: { in: stockItemIds } });
+
+    const id = await prisma.$transaction(async (tx) => {
+      // One count per location at a time
+      await tx.$queryRaw`SELECT "id" FROM "locations" WHERE "id" = ${location.id} FOR UPDATE`;
+
+      const open = await tx.stockTake.findFirst({
+        where: { locationId: location.id, status: 'COUNTING' }
+      });
+
+      if (open) {
+        throw new HttpError(400, `A stock take is already under way at ${location.name}`);
+      }
+
+      const stockItems = await tx.stockItem.findMany({
+        where: itemWhere,
+        include: {
+          stockLevels: {
+            where: { locationId: location.id }
+          }
+        }
+      });
+
+      if (stockItems.length === 0) {
+        throw new HttpError(400, 'No stock items match');
+      }
+
+      const created = await tx.stockTake.create({
+        data: {
+          locationId: location.id,
+          notes,
+          startedById: req.user.id,
+          lines: {
+            create: stockItems.map(item => ({
+              stockItemId: item.id,
+              expectedQuantity: item.stockLevels.length > 0 ? item.stockLevels[0].quantity : 0,
+              unitCost: currentUnitCost(item)
+            }))
+          }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock_take.start',
+        entityType: 'StockTake',
+        entityId: created.id,
+        after: { ...created, lines: stockItems.length }
+      });
+
+      return created.id;
+    }, { timeout: 60000 });
+
+    res.status(201).json(await loadStockTake(prisma, id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Start stock take error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enter counted quantities. Several passes are fine: mode ADD (the default)
+// adds to what was counted before, SET replaces it for a recount.
+// Body: { mode, counts: [{ stockItemId, quantity }] }
+router.post('/:id/counts', authenticateToken, requirePermission('stock_take.count'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mode = 'ADD', counts } = req.body;
+
+    if (!COUNT_MODES.includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be ADD or SET' });
+    }
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ error: 'At least one count is required' });
+    }
+
+    if (counts.some(count => !count.stockItemId || !Number.isInteger(Number(count.quantity)) || Number(count.quantity) < 0)) {
+      return res.status(400).json({ error: 'Each count needs a stock item and a whole quantity of zero or more' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const stockTake = await lockCountingStockTake(tx, id);
+      await assertLocationAccess(tx, req.user, stockTake.location);
+
+      for (const count of counts) {
+        await recordCount(tx, stockTake, {
+          stockItemId: count.stockItemId,
+          quantity: Number(count.quantity),
+          mode,
+          userId: req.user.id
+        });
+      }
+    }, { timeout: 60000 });
+
+    res.json(await loadStockTake(prisma, id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Record stock take counts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finalise a stock take, posting every variance as a stock adjustment.
+// Body: { zeroUncounted } to treat items nobody counted as missing;
+// otherwise they are left as they are.
+router.patch('/:id/finalise', authenticateToken, requirePermission('stock_take.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const zeroUncounted = req.body.zeroUncounted === true;
+
+    await prisma.$transaction(async (tx) => {
+      const stockTake = await lockCountingStockTake(tx, id);
+      await assertLocationAccess(tx, req.user, stockTake.location);
+
+      if (!zeroUncounted && stockTake.lines.every(line => line.countedQuantity === null)) {
+        throw new HttpError(400, 'Nothing has been counted yet');
+      }
+
+      await postVariances(tx, stockTake, { zeroUncounted, userId: req.user.id });
+
+      const finalised = await tx.stockTake.update({
+        where: { id },
+        data: {
+          status: 'FINALISED',
+          finalisedAt: new Date(),
+          finalisedById: req.user.id
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock_take.finalise',
+        entityType: 'StockTake',
+        entityId: id,
+        after: { ...finalised, zeroUncounted, summary: varianceReport(stockTake.lines).summary }
+      });
+    }, { timeout: 60000 });
+
+    res.json(await loadStockTake(prisma, id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Finalise stock take error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a stock take without changing any stock
+router.patch('/:id/cancel', authenticateToken, requirePermission('stock_take.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.$transaction(async (tx) => {
+      const stockTake = await lockCountingStockTake(tx, id);
+      await assertLocationAccess(tx, req.user, stockTake.location);
+
+      const cancelled = await tx.stockTake.update({
+        where: { id },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date()
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock_take.cancel',
+        entityType: 'StockTake',
+        entityId: id,
+        before: { status: stockTake.status },
+        after: cancelled
+      });
+    });
+
+    res.json(await loadStockTake(prisma, id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel stock take error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { HttpError } = require('../lib/errors');
+const { resolveLocation, allowedLocationIds, assertLocationAccess } = require('../lib/locations');
+const { transferStock } = require('../lib/stockMovements');
+const { parsePagination, paginated } = require('../lib/pagination');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+const TRANSFER_STATUSES = ['IN_TRANSIT', 'RECEIVED', 'CANCELLED'];
+
+const transferInclude = {
+  fromLocation: {
+    select: { id: true, name: true }
+  },
+  toLocation: {
+    select: { id: true, name: true }
+  },
+  dispatchedBy: {
+    select: { username: true }
+  },
+  receivedBy: {
+    select: { username: true }
+  },
+  items: {
+    include: {
+      stockItem: {
+        select: { id: true, name: true }
+      }
+    }
+  }
+};
+
+// Lock an in-transit transfer so receive and cancel can't both apply
+const lockTransitTransfer = async (tx, id) => {
+  await tx.$queryRaw`SELECT "id" FROM "stock_transfers" WHERE "id" = ${id} FOR UPDATE`;
+
+  const transfer = await tx.stockTransfer.findUnique({
+    where: { id },
+    include: { items: true, fromLocation: true, toLocation: true }
+  });
+
+  if (!transfer) {
+    throw new HttpError(404, 'Transfer not found');
+  }
+
+  if (transfer.status !== 'IN_TRANSIT') {
+    throw new HttpError(400, 'Transfer is no longer in transit');
+  }
+
+  return transfer;
+};
+
+// Get transfers (?status=, ?locationId=, paginated).
+// Store keepers limited to some locations see transfers touching them.
+router.get('/', authenticateToken, requirePermission('stock_transfer.view'), async (req, res) => {
+  try {
+    const { status, locationId } = req.query;
+    const pagination = parsePagination(req.query);
+    const where = { AND: [] };
+
+    if (TRANSFER_STATUSES.includes(status)) where.status = status;
+
+    if (locationId) {
+      where.AND.push({ OR: [{ fromLocationId: locationId }, { toLocationId: locationId }] });
+    }
+
+    const allowed = await allowedLocationIds(prisma, req.user);
+    if (allowed) {
+      where.AND.push({ OR: [{ fromLocationId: { in: allowed } }, { toLocationId: { in: allowed } }] });
+    }
+
+    const [transfers, total] = await Promise.all([
+      prisma.stockTransfer.findMany({
+        where,
+        include: transferInclude,
+        orderBy: { dispatchedAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.stockTransfer.count({ where })
+    ]);
+
+    res.json(paginated(transfers, total, pagination));
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single transfer
+router.get('/:id', authenticateToken, requirePermission('stock_transfer.view'), async (req, res) => {
+  try {
+    const transfer = await prisma.stockTransfer.findUnique({
+      where: { id: req.params.id },
+      include: transferInclude
+    });
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dispatch stock to another location (Manager or Store Keeper at the source).
+// Body: { fromLocationId, toLocationId, notes, items: [{ stockItemId, quantity }] }
+router.post('/', authenticateToken, requirePermission('stock_transfer.manage'), async (req, res) => {
+  try {
+    const { fromLocationId, toLocationId, notes, items } = req.body;
+
+    if (!fromLocationId || !toLocationId || fromLocationId === toLocationId) {
+      return res.status(400).json({ error: 'Two different locations are required' });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'At least one item is required' });
+    }
+
+    if (items.some(item => !item.stockItemId || !(parseInt(item.quantity) > 0))) {
+      return res.status(400).json({ error: 'Each item needs a stock item and a quantity greater than zero' });
+    }
+
+    const fromLocation = await resolveLocation(prisma, fromLocationId);
+    const toLocation = await resolveLocation(prisma, toLocationId);
+    await assertLocationAccess(prisma, req.user, fromLocation);
+
+    const transfer = await prisma.$transaction(async (tx) => {
+      // Neither location can be deactivated while the dispatch is written
+      const active = await tx.$queryRaw`
+        SELECT "id" FROM "locations"
+        WHERE "id" IN (${fromLocationId}, ${toLocationId}) AND "isActive" = true
+        FOR SHARE
+      `;
+
+      if (active.length !== 2) {
+        throw new HttpError(400, 'Both locations must be active');
+      }
+
+      const created = await tx.stockTransfer.create({
+        data: {
+          fromLocationId,
+          toLocationId,
+          notes,
+          dispatchedById: req.user.id,
+          items: {
+            create: items.map(item => ({
+              stockItemId: item.stockItemId,
+              quantity: parseInt(item.quantity)
+            }))
+          }
+        },
+        include: transferInclude
+      });
+
+      // Stock leaves the source now; the item total is unchanged while in transit
+      for (const item of created.items) {
+        await transferStock(tx, {
+          stockItemId: item.stockItemId,
+          locationId: fromLocationId,
+          type: 'TRANSFER_OUT',
+          quantity: -item.quantity,
+          userId: req.user.id,
+          stockTransferId: created.id,
+          reason: `Transfer to ${toLocation.name}`
+        });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'stock_transfer.dispatch',
+        entityType: 'StockTransfer',
+        entityId: created.id,
+        after: created
+      });
+
+      return created;
+    });
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Receive a transfer at its destination (Manager or Store Keeper there)
+router.patch('/:id/receive', authenticateToken, requirePermission('stock_transfer.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await prisma.$transaction(async (tx) => {
+      const existing = await lockTransitTransfer(tx, id);
+      await assertLocationAccess(tx, req.user, existing.toLocation);
+
+      for (const item of existing.items) {
+        await transferStock(tx, {
+          stockItemId: item.stockItemId,
+          locationId: existing.toLocationId,
+          type: 'TRANSFER_IN',
+          quantity: item.quantity,
+          userId: req.user.id,
+          stockTransferId: id,
+          reason: `Transfer from ${existing.fromLocation.name}`
+        });
+      }
+
+      const received = await tx.stockTransfer.update({
+        where: { id },
+        data: {
+          status: 'RECEIVED',
+          receivedAt: new Date(),
+          receivedById: req.user.id
+        },
+        include: transferInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock_transfer.receive',
+        entityType: 'StockTransfer',
+        entityId: id,
+        before: { status: existing.status },
+        after: received
+      });
+
+      return received;
+    });
+
+    res.json(transfer);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Receive transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a transfer still in transit; the stock goes back to the source
+router.patch('/:id/cancel', authenticateToken, requirePermission('stock_transfer.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await prisma.$transaction(async (tx) => {
+      const existing = await lockTransitTransfer(tx, id);
+      await assertLocationAccess(tx, req.user, existing.fromLocation);
+
+      for (const item of existing.items) {
+        await transferStock(tx, {
+          stockItemId: item.stockItemId,
+          locationId: existing.fromLocationId,
+          type: 'TRANSFER_IN',
+          quantity: item.quantity,
+          userId: req.user.id,
+          stockTransferId: id,
+          reason: `Transfer to ${existing.toLocation.name} cancelled`
+        });
+      }
+
+      const cancelled = await tx.stockTransfer.update({
+        where: { id },
+        data: {
+          status: 'CANCELLED',
+          cancelledAt: new Date()
+        },
+        include: transferInclude
+      });
+
+      await recordAudit(tx, req, {
+        action: 'stock_transfer.cancel',
+        entityType: 'StockTransfer',
+        entityId: id,
+        before: { status: existing.status },
+        after: cancelled
+      });
+
+      return cancelled;
+    });
+
+    res.json(transfer);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
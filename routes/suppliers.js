@@ -0,0 +1,184 @@
+const express = require('express');
+const { prisma } = require('../lib/prisma');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SUPPLIER_TYPES = ['LOCAL', 'IMPORT'];
+const OPEN_PURCHASE_ORDER_STATUSES = ['ORDERED', 'PARTIALLY_RECEIVED'];
+
+// Build the outstanding (ordered but not yet received) lines per supplier
+const getOutstanding = async (supplierWhere = {}) => {
+  const suppliers = await prisma.supplier.findMany({
+    where: supplierWhere,
+    include: {
+      purchaseOrders: {
+        where: { status: { in: OPEN_PURCHASE_ORDER_STATUSES } },
+        include: {
+          items: {
+            include: {
+              stockItem: {
+                select: { id: true, name: true }
+              }
+            }
+          }
+        },
+        orderBy: { orderedAt: 'asc' }
+      }
+    },
+    orderBy: { name: 'asc' }
+  });
+
+  return suppliers.map(supplier => {
+    const lines = [];
+
+    supplier.purchaseOrders.forEach(purchaseOrder => {
+      purchaseOrder.items.forEach(item => {
+        const outstandingQuantity = item.quantityOrdered - item.quantityReceived;
+        if (outstandingQuantity <= 0) return;
+
+        lines.push({
+          purchaseOrderId: purchaseOrder.id,
+          purchaseOrderItemId: item.id,
+          orderedAt: purchaseOrder.orderedAt,
+          expectedAt: purchaseOrder.expectedAt,
+          stockItem: item.stockItem,
+          quantityOrdered: item.quantityOrdered,
+          quantityReceived: item.quantityReceived,
+          outstandingQuantity,
+          unitCost: item.unitCost,
+          outstandingValue: outstandingQuantity * item.unitCost
+        });
+      });
+    });
+
+    return {
+      supplier: {
+        id: supplier.id,
+        name: supplier.name,
+        type: supplier.type
+      },
+      openPurchaseOrders: supplier.purchaseOrders.length,
+      outstandingValue: lines.reduce((sum, line) => sum + line.outstandingValue, 0),
+      lines
+    };
+  });
+};
+
+// Get all suppliers
+router.get('/', authenticateToken, requirePermission('supplier.view'), async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+
+    const suppliers = await prisma.supplier.findMany({
+      where: includeInactive === 'true' ? {} : { isActive: true },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(suppliers);
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get outstanding purchase order lines for every supplier
+router.get('/outstanding', authenticateToken, requirePermission('supplier.view'), async (req, res) => {
+  try {
+    const outstanding = await getOutstanding();
+
+    res.json(outstanding.filter(entry => entry.lines.length > 0));
+  } catch (error) {
+    console.error('Get outstanding purchases error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get outstanding purchase order lines for one supplier
+router.get('/:id/outstanding', authenticateToken, requirePermission('supplier.view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [outstanding] = await getOutstanding({ id });
+
+    if (!outstanding) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json(outstanding);
+  } catch (error) {
+    console.error('Get supplier outstanding error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create supplier (Manager only)
+router.post('/', authenticateToken, requirePermission('supplier.manage'), async (req, res) => {
+  try {
+    const { name, type = 'LOCAL', contactName, phone, email, address } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    if (!SUPPLIER_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid supplier type' });
+    }
+
+    const existingSupplier = await prisma.supplier.findUnique({
+      where: { name }
+    });
+
+    if (existingSupplier) {
+      return res.status(400).json({ error: 'Supplier with this name already exists' });
+    }
+
+    const supplier = await prisma.supplier.create({
+      data: { name, type, contactName, phone, email, address }
+    });
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update supplier (Manager only)
+router.patch('/:id', authenticateToken, requirePermission('supplier.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, type, contactName, phone, email, address, isActive } = req.body;
+
+    if (type !== undefined && !SUPPLIER_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'Invalid supplier type' });
+    }
+
+    const existingSupplier = await prisma.supplier.findUnique({
+      where: { id }
+    });
+
+    if (!existingSupplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    if (name !== undefined && name !== existingSupplier.name) {
+      const duplicate = await prisma.supplier.findUnique({ where: { name } });
+      if (duplicate) {
+        return res.status(400).json({ error: 'Supplier with this name already exists' });
+      }
+    }
+
+    const supplier = await prisma.supplier.update({
+      where: { id },
+      data: { name, type, contactName, phone, email, address, isActive }
+    });
+
+    res.json(supplier);
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
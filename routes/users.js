@@ -1,34 +1,139 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const { prisma } = require('../lib/prisma');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { parsePagination, parseSort, paginated } = require('../lib/pagination');
+const { revokeSession, revokeUserSessions } = require('../lib/sessions');
+const { hashPassword, assertPasswordAllowed, setPassword, generateTemporaryPassword } = require('../lib/passwords');
+const { HttpError } = require('../lib/errors');
+const { clearLockout } = require('../lib/loginAttempts');
+const { parseDateBoundary } = require('../lib/businessTime');
+const { recordAudit } = require('../lib/audit');
+const { publishEvent } = require('../lib/events');
+const { ROLES, hasPermission } = require('../lib/permissions');
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+const USER_SORT_FIELDS = ['username', 'role', 'createdAt'];
+
+const userSelect = {
+  id: true,
+  username: true,
+  role: true,
+  isActive: true,
+  createdAt: true
+};
+
+// Refuse changes that would lock everyone out: admins can't deactivate
+// themselves, and the last active admin can't be demoted or deactivated.
+// Call inside the transaction making the change; active admins are locked
+// so two admins can't demote each other at the same time.
+const assertAdminSafeguards = async (tx, req, existing, { role, isActive }) => {
+  if (isActive === false && existing.id === req.user.id) {
+    throw new HttpError(400, 'You cannot deactivate your own account');
+  }
+
+  const losesAdmin = existing.role === 'ADMIN' && existing.isActive &&
+    ((role !== undefined && role !== 'ADMIN') || isActive === false);
+  if (!losesAdmin) return;
+
+  const admins = await tx.$queryRaw`
+    SELECT "id" FROM "users" WHERE "role" = 'ADMIN' AND "isActive" = true FOR UPDATE
+  `;
+
+  if (admins.every(admin => admin.id === existing.id)) {
+    throw new HttpError(400, 'There must always be at least one active admin');
+  }
+};
+
+// Tells the user's own open apps, before their streams are closed
+const announceDeactivation = (tx, user) => {
+  return publishEvent(tx, {
+    type: 'user.deactivated',
+    permission: 'user.manage',
+    userId: user.id,
+    payload: { userId: user.id, username: user.username }
+  });
+};
+
+// Get users (Admin only; ?search=, ?role=, ?isActive=, paginated).
+// Admins are only listed to callers who can manage users.
+router.get('/', authenticateToken, requirePermission('user.view'), async (req, res) => {
   try {
-    const users = await prisma.user.findMany({
-      where: { role: { not: 'ADMIN' } },
-      select: {
-        id: true,
-        username: true,
-        role: true,
-        isActive: true,
-        createdAt: true
-      },
-      orderBy: { createdAt: 'desc' }
-    });
+    const { search, role, isActive } = req.query;
+    const pagination = parsePagination(req.query);
+    const orderBy = parseSort(req.query, USER_SORT_FIELDS, 'createdAt', 'desc');
+
+    const canManage = hasPermission(req.user.role, 'user.manage');
+    const where = canManage ? {} : { role: { not: 'ADMIN' } };
+    if (ROLES.includes(role) && (canManage || role !== 'ADMIN')) where.role = role;
+    if (isActive === 'true' || isActive === 'false') where.isActive = isActive === 'true';
+    if (search) where.username = { contains: search, mode: 'insensitive' };
 
-    res.json(users);
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          username: true,
+          role: true,
+          isActive: true,
+          lockedUntil: true,
+          createdAt: true
+        },
+        orderBy,
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json(paginated(users, total, pagination));
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Login history, newest first (Admin only).
+// Filters: ?username=, ?userId=, ?success=true|false, ?ipAddress=, ?from=, ?to=
+router.get('/login-history', authenticateToken, requirePermission('user.view'), async (req, res) => {
+  try {
+    const { username, userId, success, ipAddress, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const where = {};
+    if (username) where.username = { equals: username, mode: 'insensitive' };
+    if (userId) where.userId = userId;
+    if (success === 'true' || success === 'false') where.success = success === 'true';
+    if (ipAddress) where.ipAddress = ipAddress;
+
+    const createdFrom = parseDateBoundary(from, 'start');
+    const createdTo = parseDateBoundary(to, 'end');
+    if (createdFrom || createdTo) {
+      where.createdAt = {};
+      if (createdFrom) where.createdAt.gte = createdFrom;
+      if (createdTo) where.createdAt.lte = createdTo;
+    }
+
+    const [attempts, total] = await Promise.all([
+      prisma.loginAttempt.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      prisma.loginAttempt.count({ where })
+    ]);
+
+    res.json(paginated(attempts, total, pagination));
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create user (Admin only)
-router.post('/', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('user.manage'), async (req, res) => {
   try {
     const { username, password, role } = req.body;
 
@@ -36,7 +141,7 @@ router.post('/', authenticateToken, requireRole(['ADMIN']), async (req, res) =>
       return res.status(400).json({ error: 'Username, password, and role are required' });
     }
 
-    if (!['MANAGER', 'STORE_KEEPER', 'SALES_REPRESENTATIVE'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
@@ -48,54 +153,384 @@ router.post('/', authenticateToken, requireRole(['ADMIN']), async (req, res) =>
       return res.status(400).json({ error: 'Username already exists' });
     }
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    await assertPasswordAllowed(prisma, { password, username });
 
-    const user = await prisma.user.create({
-      data: {
-        username,
-        password: hashedPassword,
-        role,
-        createdBy: req.user.id
-      },
-      select: {
-        id: true,
-        username: true,
-        role: true,
-        isActive: true,
-        createdAt: true
-      }
+    const hashedPassword = await hashPassword(password);
+
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          username,
+          password: hashedPassword,
+          role,
+          createdBy: req.user.id
+        },
+        select: userSelect
+      });
+
+      await recordAudit(tx, req, { action: 'user.create', entityType: 'User', entityId: created.id, after: created });
+
+      return created;
     });
 
     res.status(201).json(user);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create user error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Update user status (Admin only)
-router.patch('/:id/status', authenticateToken, requireRole(['ADMIN']), async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('user.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isActive } = req.body;
 
-    const user = await prisma.user.update({
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+
+    const existing = await prisma.user.findUnique({
       where: { id },
-      data: { isActive },
-      select: {
-        id: true,
-        username: true,
-        role: true,
-        isActive: true,
-        createdAt: true
+      select: { id: true, role: true, isActive: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await assertAdminSafeguards(tx, req, existing, { isActive });
+
+      const updated = await tx.user.update({
+        where: { id },
+        data: { isActive },
+        select: userSelect
+      });
+
+      await recordAudit(tx, req, {
+        action: isActive === false ? 'user.deactivate' : 'user.activate',
+        entityType: 'User',
+        entityId: id,
+        before: existing,
+        after: { id, isActive: updated.isActive }
+      });
+
+      if (isActive === false && existing.isActive) {
+        await announceDeactivation(tx, updated);
       }
+
+      return updated;
     });
 
+    // Deactivation is the kill switch: sign the user out everywhere
+    if (isActive === false) {
+      await revokeUserSessions(prisma, id, 'USER_DEACTIVATED');
+    }
+
     res.json(user);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update user status error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Update a user's username, role or status (Admin only).
+// Body: { username, role, isActive }. A new role takes effect at the user's
+// next sign-in, as their sessions are ended.
+router.patch('/:id', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive } = req.body;
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : req.body.username;
+
+    if (username !== undefined && !username) {
+      return res.status(400).json({ error: 'Username cannot be empty' });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { id },
+      select: userSelect
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (username !== undefined && username !== existing.username) {
+      const taken = await prisma.user.findUnique({ where: { username } });
+      if (taken) {
+        return res.status(400).json({ error: 'Username already exists' });
+      }
+    }
+
+    const data = {};
+    if (username !== undefined && username !== existing.username) data.username = username;
+    if (role !== undefined && role !== existing.role) data.role = role;
+    if (isActive !== undefined && isActive !== existing.isActive) data.isActive = isActive;
+
+    if (Object.keys(data).length === 0) {
+      return res.json(existing);
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await assertAdminSafeguards(tx, req, existing, data);
+
+      const updated = await tx.user.update({
+        where: { id },
+        data,
+        select: userSelect
+      });
+
+      // Location assignments only apply to store keepers
+      if (data.role) {
+        await tx.userLocation.deleteMany({ where: { userId: id } });
+      }
+
+      await recordAudit(tx, req, {
+        action: 'user.update',
+        entityType: 'User',
+        entityId: id,
+        before: existing,
+        after: updated
+      });
+
+      if (data.isActive === false) {
+        await announceDeactivation(tx, updated);
+      }
+
+      return updated;
+    });
+
+    // Access tokens carry the role, so make the user sign in again
+    if (data.isActive === false) {
+      await revokeUserSessions(prisma, id, 'USER_DEACTIVATED');
+    } else if (data.role) {
+      await revokeUserSessions(prisma, id, 'ROLE_CHANGED');
+    }
+
+    res.json(user);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Limit a store keeper to some locations (Admin only).
+// Body: { locationIds }; an empty list lifts the restriction.
+router.put('/:id/locations', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { locationIds } = req.body;
+
+    if (!Array.isArray(locationIds)) {
+      return res.status(400).json({ error: 'Location ids are required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      include: { locationAssignments: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role !== 'STORE_KEEPER') {
+      return res.status(400).json({ error: 'Only store keepers can be assigned to locations' });
+    }
+
+    const locations = await prisma.location.findMany({
+      where: { id: { in: locationIds }, isActive: true }
+    });
+
+    if (locations.length !== new Set(locationIds).size) {
+      return res.status(400).json({ error: 'One or more locations were not found' });
+    }
+
+    await prisma.$transaction([
+      prisma.userLocation.deleteMany({ where: { userId: id } }),
+      prisma.userLocation.createMany({
+        data: locations.map(location => ({ userId: id, locationId: location.id }))
+      }),
+      recordAudit(prisma, req, {
+        action: 'user.locations_assign',
+        entityType: 'User',
+        entityId: id,
+        before: { locationIds: user.locationAssignments.map(assignment => assignment.locationId) },
+        after: { locationIds: locations.map(location => location.id) }
+      })
+    ]);
+
+    res.json({
+      userId: id,
+      locations: locations.map(location => ({ id: location.id, name: location.name }))
+    });
+  } catch (error) {
+    console.error('Assign user locations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock an account locked by failed logins (Admin only)
+router.post('/:id/unlock', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await clearLockout(tx, id);
+      await recordAudit(tx, req, {
+        action: 'user.unlock',
+        entityType: 'User',
+        entityId: id,
+        before: {
+          lockedUntil: user.lockedUntil,
+          failedLoginCount: user.failedLoginCount,
+          lockoutCount: user.lockoutCount
+        },
+        after: { lockedUntil: null, failedLoginCount: 0, lockoutCount: 0 }
+      });
+    });
+
+    res.json({ userId: id, lockedUntil: null });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a user's password to a temporary one they must change at next
+// login (Admin only). The temporary password is returned once, here.
+router.post('/:id/reset-password', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'Use change password for your own account' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+
+    await prisma.$transaction(async (tx) => {
+      await setPassword(tx, user, temporaryPassword, { mustChangePassword: true });
+      await recordAudit(tx, req, {
+        action: 'user.password_reset',
+        entityType: 'User',
+        entityId: id,
+        before: { mustChangePassword: user.mustChangePassword },
+        after: { mustChangePassword: true }
+      });
+    });
+    await revokeUserSessions(prisma, id, 'PASSWORD_RESET');
+
+    res.json({ userId: id, temporaryPassword, mustChangePassword: true });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List a user's active sessions (Admin only)
+router.get('/:id/sessions', authenticateToken, requirePermission('user.view'), async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.params.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke all of a user's sessions (Admin only)
+router.delete('/:id/sessions', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(prisma, req.params.id, 'REVOKED_BY_ADMIN');
+    await recordAudit(prisma, req, {
+      action: 'user.sessions_revoke',
+      entityType: 'User',
+      entityId: req.params.id,
+      after: { revoked }
+    });
+
+    res.json({ revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one session (Admin only)
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('user.manage'), async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId: id }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(prisma, sessionId, 'REVOKED_BY_ADMIN');
+    await recordAudit(prisma, req, {
+      action: 'session.revoke',
+      entityType: 'Session',
+      entityId: sessionId,
+      before: { userId: id, revokedAt: session.revokedAt },
+      after: { userId: id, revokedReason: 'REVOKED_BY_ADMIN' }
+    });
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
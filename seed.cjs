@@ -2,6 +2,7 @@
 require('dotenv').config();
 const { prisma } = require('./lib/prisma');
 const bcrypt = require('bcryptjs');
+const { attributesForNewItem } = require('./lib/catalogue');
 
 async function main() {
   console.log('Seeding database...');
@@ -61,7 +62,7 @@ async function main() {
     await prisma.stockItem.upsert({
       where: { name: item.name },
       update: {},
-      create: item
+      create: { ...item, ...attributesForNewItem(item.name, {}) }
     });
   }
 
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Pin the zone so the expectations hold wherever the tests run
+delete process.env.BUSINESS_TIMEZONE;
+
+const {
+  businessYear,
+  businessDate,
+  startOfBusinessDay,
+  endOfBusinessDay,
+  parseDateBoundary
+} = require('../lib/businessTime');
+
+test('business days start at midnight Addis Ababa time', () => {
+  assert.strictEqual(startOfBusinessDay('2026-03-15').toISOString(), '2026-03-14T21:00:00.000Z');
+  assert.strictEqual(endOfBusinessDay('2026-03-15').toISOString(), '2026-03-15T20:59:59.999Z');
+});
+
+test('endOfBusinessDay rolls over month and year ends', () => {
+  assert.strictEqual(endOfBusinessDay('2026-02-28').toISOString(), '2026-02-28T20:59:59.999Z');
+  assert.strictEqual(endOfBusinessDay('2026-12-31').toISOString(), '2026-12-31T20:59:59.999Z');
+});
+
+test('businessDate and businessYear follow the local calendar, not UTC', () => {
+  const lateUtc = new Date('2026-12-31T22:30:00.000Z');
+
+  assert.strictEqual(businessDate(lateUtc), '2027-01-01');
+  assert.strictEqual(businessYear(lateUtc), 2027);
+  assert.strictEqual(businessDate(new Date('2026-12-31T20:59:59.000Z')), '2026-12-31');
+});
+
+test('parseDateBoundary takes plain dates as whole business days', () => {
+  assert.deepStrictEqual(parseDateBoundary('2026-03-15', 'start'), startOfBusinessDay('2026-03-15'));
+  assert.deepStrictEqual(parseDateBoundary('2026-03-15', 'end'), endOfBusinessDay('2026-03-15'));
+});
+
+test('parseDateBoundary keeps exact timestamps and rejects bad input', () => {
+  assert.strictEqual(parseDateBoundary('2026-03-15T08:00:00Z', 'end').toISOString(), '2026-03-15T08:00:00.000Z');
+  assert.strictEqual(parseDateBoundary('not a date', 'start'), null);
+  assert.strictEqual(parseDateBoundary('2026-13-45', 'start'), null);
+  assert.strictEqual(parseDateBoundary('2026-02-30', 'end'), null);
+  assert.strictEqual(parseDateBoundary(undefined, 'start'), null);
+});
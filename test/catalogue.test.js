@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseItemName, parseAttributes, attributesForNewItem, facetFilters } = require('../lib/catalogue');
+
+test('parseItemName reads thickness, material, finish and origin', () => {
+  assert.deepStrictEqual(parseItemName('18mm mdf UV (local )'), {
+    category: 'MDF',
+    material: 'MDF',
+    thicknessMm: 18,
+    finish: 'UV',
+    origin: 'Local',
+    sheetSize: null
+  });
+});
+
+test('parseItemName handles decimals, spacing and sheet sizes', () => {
+  const parsed = parseItemName('12 mm Chip Board imported 1220 x 2440');
+  assert.strictEqual(parsed.thicknessMm, 12);
+  assert.strictEqual(parsed.material, 'Chipwood');
+  assert.strictEqual(parsed.origin, 'Imported');
+  assert.strictEqual(parsed.sheetSize, '1220x2440');
+  assert.strictEqual(parseItemName('5.7mm mdf veneer').thicknessMm, 5.7);
+});
+
+test('parseItemName leaves unknown attributes null', () => {
+  const parsed = parseItemName('Edge tape');
+  assert.strictEqual(parsed.material, null);
+  assert.strictEqual(parsed.thicknessMm, null);
+});
+
+test('parseAttributes trims, clears empty values and rejects bad thickness', () => {
+  assert.deepStrictEqual(parseAttributes({ sku: ' A1 ', finish: '', unitOfMeasure: 'pcs' }).data, {
+    sku: 'A1',
+    finish: null,
+    unitOfMeasure: 'PCS'
+  });
+  assert.ok(parseAttributes({ thicknessMm: 0 }).error);
+  assert.ok(parseAttributes({ unitOfMeasure: '' }).error);
+});
+
+test('attributesForNewItem keeps given values over parsed ones', () => {
+  const data = attributesForNewItem('18mm mdf UV', { finish: 'Laminated' });
+  assert.strictEqual(data.finish, 'Laminated');
+  assert.strictEqual(data.thicknessMm, 18);
+});
+
+test('facetFilters builds one clause per facet', () => {
+  const filters = facetFilters({ material: 'MDF,Chipwood', minThickness: '5' });
+  assert.strictEqual(filters.material.OR.length, 2);
+  assert.deepStrictEqual(filters.thicknessMm, { AND: [{ thicknessMm: { gte: 5 } }] });
+  assert.strictEqual(filters.finish, undefined);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ruleFor } = require('../lib/commissions');
+
+const rules = [
+  { id: 'base', category: null, minMonthlyRevenue: 0 },
+  { id: 'tier', category: null, minMonthlyRevenue: 100000 },
+  { id: 'mdf', category: 'MDF', minMonthlyRevenue: 0 },
+  { id: 'mdf-tier', category: 'MDF', minMonthlyRevenue: 50000 }
+];
+
+test('ruleFor picks the highest catch-all tier reached', () => {
+  assert.strictEqual(ruleFor(rules, null, 20000).id, 'base');
+  assert.strictEqual(ruleFor(rules, null, 100000).id, 'tier');
+  assert.strictEqual(ruleFor(rules, 'Plywood', 250000).id, 'tier');
+});
+
+test('ruleFor prefers a rule for the item category', () => {
+  assert.strictEqual(ruleFor(rules, 'MDF', 20000).id, 'mdf');
+  assert.strictEqual(ruleFor(rules, 'MDF', 60000).id, 'mdf-tier');
+});
+
+test('ruleFor falls back to catch-all rules when no category tier is reached', () => {
+  const tiered = [{ id: 'base', category: null, minMonthlyRevenue: 0 }, { id: 'mdf', category: 'MDF', minMonthlyRevenue: 50000 }];
+  assert.strictEqual(ruleFor(tiered, 'MDF', 1000).id, 'base');
+});
+
+test('ruleFor returns null when no rule applies', () => {
+  assert.strictEqual(ruleFor([{ id: 'tier', category: null, minMonthlyRevenue: 1000 }], null, 10), null);
+  assert.strictEqual(ruleFor([], 'MDF', 1000), null);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { weightedAverageCost, currentUnitCost } = require('../lib/costing');
+
+test('weightedAverageCost blends a receipt into the average', () => {
+  assert.strictEqual(weightedAverageCost(10, 100, 10, 200), 150);
+});
+
+test('weightedAverageCost takes the new cost when nothing is on hand', () => {
+  assert.strictEqual(weightedAverageCost(0, 100, 5, 120), 120);
+  assert.strictEqual(weightedAverageCost(-3, 100, 5, 120), 120);
+});
+
+test('currentUnitCost falls back to the buying price', () => {
+  assert.strictEqual(currentUnitCost({ averageCost: 0, buyingPrice: 80 }), 80);
+  assert.strictEqual(currentUnitCost({ averageCost: 95, buyingPrice: 80 }), 95);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { planStockImport } = require('../lib/stockImport');
+
+test('parseCsv handles quotes, escaped quotes and embedded newlines', () => {
+  const rows = parseCsv('name,notes\r\n"Board, 18mm","say ""hi""\nthere"\r\n');
+  assert.deepStrictEqual(rows, [['name', 'notes'], ['Board, 18mm', 'say "hi"\nthere']]);
+});
+
+test('parseCsv drops a byte order mark and blank lines', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFa,b\n\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('toCsv round-trips through parseCsv', () => {
+  const rows = [['name', 'price'], ['Board, "UV"', 12.5], ['Plain', null]];
+  assert.deepStrictEqual(parseCsv(toCsv(rows)), [['name', 'price'], ['Board, "UV"', '12.5'], ['Plain', '']]);
+});
+
+test('planStockImport plans creates and updates and reports bad rows', () => {
+  const rows = parseCsv('Name,Quantity,BuyingPrice\n18mm MDF,10,500\nnew board,5,200\nbad,-1,x\n18MM  mdf,1,1');
+  const { errors, plan } = planStockImport(rows, [{ id: 's1', name: '18mm MDF', quantity: 8, buyingPrice: 500, sellingPrice: null }]);
+
+  assert.deepStrictEqual(plan.map(entry => entry.action), ['updated', 'created']);
+  assert.deepStrictEqual(plan[0].changes, { quantity: { from: 8, to: 10 } });
+  assert.deepStrictEqual(errors.map(error => error.row), [4, 5]);
+});
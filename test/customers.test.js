@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeContact, findActiveCustomer } = require('../lib/customers');
+
+test('normalizeContact folds the +251 country code into the local 0 prefix', () => {
+  assert.strictEqual(normalizeContact('+251 911 234 567'), '0911234567');
+  assert.strictEqual(normalizeContact('0911-234-567'), '0911234567');
+});
+
+test('normalizeContact adds the 0 prefix to bare nine-digit numbers', () => {
+  assert.strictEqual(normalizeContact('911234567'), '0911234567');
+});
+
+test('normalizeContact lower-cases anything that is not a phone number', () => {
+  assert.strictEqual(normalizeContact('  Sales@Example.com '), 'sales@example.com');
+  assert.strictEqual(normalizeContact(''), null);
+  assert.strictEqual(normalizeContact(null), null);
+});
+
+test('findActiveCustomer follows merge links to the survivor', async () => {
+  const customers = {
+    a: { id: 'a', mergedIntoId: 'b' },
+    b: { id: 'b', mergedIntoId: 'c' },
+    c: { id: 'c', mergedIntoId: null }
+  };
+  const db = { customer: { findUnique: async ({ where }) => customers[where.id] || null } };
+
+  assert.strictEqual((await findActiveCustomer(db, 'a')).id, 'c');
+  assert.strictEqual(await findActiveCustomer(db, 'missing'), null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.LOGIN_MAX_FAILURES;
+delete process.env.LOCKOUT_BASE_MINUTES;
+delete process.env.LOCKOUT_MAX_MINUTES;
+
+const { isLocked, registerFailedLogin, clearLockout } = require('../lib/loginAttempts');
+
+const MINUTE_MS = 60 * 1000;
+
+// A single user row with just the updates the lockout code makes
+const fakeDb = (user) => ({
+  user: {
+    update: async ({ data }) => {
+      if (data.failedLoginCount && data.failedLoginCount.increment) {
+        user.failedLoginCount += data.failedLoginCount.increment;
+      } else {
+        Object.assign(user, data);
+      }
+      return { ...user };
+    },
+    updateMany: async ({ where, data }) => {
+      if (user.failedLoginCount < where.failedLoginCount.gte) return { count: 0 };
+
+      user.failedLoginCount = data.failedLoginCount;
+      user.lockoutCount += data.lockoutCount.increment;
+      user.lockedUntil = data.lockedUntil;
+      return { count: 1 };
+    },
+    findUnique: async () => ({ ...user })
+  }
+});
+
+const failTimes = async (db, user, times) => {
+  let latest;
+  for (let attempt = 0; attempt < times; attempt++) {
+    latest = await registerFailedLogin(db, user);
+  }
+  return latest;
+};
+
+const lockMinutes = (user) => Math.round((user.lockedUntil.getTime() - Date.now()) / MINUTE_MS);
+
+test('registerFailedLogin locks the account on the fifth failure', async () => {
+  const user = { id: 'u1', failedLoginCount: 0, lockoutCount: 0, lockedUntil: null };
+  const db = fakeDb(user);
+
+  const beforeLimit = await failTimes(db, user, 4);
+  assert.strictEqual(isLocked(beforeLimit), false);
+
+  const locked = await registerFailedLogin(db, user);
+  assert.strictEqual(isLocked(locked), true);
+  assert.strictEqual(locked.failedLoginCount, 0);
+  assert.strictEqual(locked.lockoutCount, 1);
+  assert.strictEqual(lockMinutes(locked), 5);
+});
+
+test('each further lockout doubles, up to a day', async () => {
+  const user = { id: 'u1', failedLoginCount: 0, lockoutCount: 0, lockedUntil: null };
+  const db = fakeDb(user);
+
+  const minutes = [];
+  for (let lockout = 0; lockout < 10; lockout++) {
+    minutes.push(lockMinutes(await failTimes(db, user, 5)));
+  }
+
+  assert.deepStrictEqual(minutes, [5, 10, 20, 40, 80, 160, 320, 640, 1280, 1440]);
+});
+
+test('clearLockout resets the backoff', async () => {
+  const user = { id: 'u1', failedLoginCount: 2, lockoutCount: 3, lockedUntil: new Date(Date.now() + MINUTE_MS) };
+  const db = fakeDb(user);
+
+  await clearLockout(db, user.id);
+  assert.strictEqual(isLocked(user), false);
+
+  assert.strictEqual(lockMinutes(await failTimes(db, user, 5)), 5);
+});
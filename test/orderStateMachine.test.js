@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ORDER_STATUSES, canTransition, assertTransition } = require('../lib/orderStateMachine');
+const { HttpError } = require('../lib/errors');
+
+test('pending orders can be approved, rejected or cancelled', () => {
+  ['APPROVED', 'REJECTED', 'CANCELLED'].forEach(to => assert.ok(canTransition('PENDING', to)));
+  assert.ok(!canTransition('PENDING', 'DELIVERED'));
+});
+
+test('approved orders can be delivered or cancelled', () => {
+  assert.ok(canTransition('APPROVED', 'DELIVERED'));
+  assert.ok(canTransition('APPROVED', 'CANCELLED'));
+  assert.ok(!canTransition('APPROVED', 'PENDING'));
+});
+
+test('final statuses go nowhere', () => {
+  ['DELIVERED', 'REJECTED', 'CANCELLED'].forEach(from => {
+    ORDER_STATUSES.forEach(to => assert.ok(!canTransition(from, to)));
+  });
+  assert.ok(!canTransition('UNKNOWN', 'APPROVED'));
+});
+
+test('assertTransition throws a 400 HttpError', () => {
+  assert.throws(() => assertTransition('DELIVERED', 'CANCELLED'), (error) => error instanceof HttpError && error.status === 400);
+  assert.doesNotThrow(() => assertTransition('PENDING', 'APPROVED'));
+});
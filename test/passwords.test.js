@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.PASSWORD_MIN_LENGTH;
+delete process.env.PASSWORD_HISTORY_COUNT;
+delete process.env.PASSWORD_MAX_AGE_DAYS;
+
+const {
+  hashPassword,
+  assertPasswordAllowed,
+  setPassword,
+  passwordChangeRequired,
+  generateTemporaryPassword
+} = require('../lib/passwords');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const historyDb = (hashes) => ({
+  passwordHistory: {
+    findMany: async ({ take }) => hashes.slice(0, take).map(passwordHash => ({ passwordHash }))
+  }
+});
+
+test('assertPasswordAllowed enforces the length and username rules', async () => {
+  await assert.rejects(assertPasswordAllowed(null, { password: 'short', username: 'abebe' }), {
+    status: 400,
+    message: 'Password must be at least 8 characters'
+  });
+  await assert.rejects(assertPasswordAllowed(null, { password: 'my-Abebe-pass', username: 'abebe' }), {
+    message: 'Password must not contain the username'
+  });
+  await assertPasswordAllowed(null, { password: 'correct horse', username: 'abebe' });
+});
+
+test('assertPasswordAllowed rejects the current and recent passwords', async () => {
+  const user = { id: 'u1', username: 'abebe', password: await hashPassword('current pass') };
+  const db = historyDb([await hashPassword('older pass')]);
+
+  await assert.rejects(assertPasswordAllowed(db, { password: 'current pass', user }), {
+    message: 'Password must not match any of your last 5 passwords'
+  });
+  await assert.rejects(assertPasswordAllowed(db, { password: 'older pass', user }), { status: 400 });
+  await assertPasswordAllowed(db, { password: 'brand new pass', user });
+});
+
+test('setPassword keeps the old hash and trims the history to the policy', async () => {
+  const created = [];
+  const deleted = [];
+  const tx = {
+    passwordHistory: {
+      create: async ({ data }) => created.push(data),
+      findMany: async ({ skip }) => [{ id: 'h1' }, { id: 'h2' }, { id: 'h3' }, { id: 'h4' }, { id: 'h5' }].slice(skip),
+      deleteMany: async ({ where }) => deleted.push(...where.id.in)
+    },
+    user: {
+      update: async ({ data }) => data
+    }
+  };
+
+  const updated = await setPassword(tx, { id: 'u1', password: 'old-hash' }, 'brand new pass', { mustChangePassword: true });
+
+  assert.deepStrictEqual(created, [{ userId: 'u1', passwordHash: 'old-hash' }]);
+  assert.deepStrictEqual(deleted, ['h5']);
+  assert.strictEqual(updated.mustChangePassword, true);
+  assert.notStrictEqual(updated.password, 'brand new pass');
+});
+
+test('passwordChangeRequired honours the flag and the maximum age', () => {
+  const recent = new Date(Date.now() - 10 * DAY_MS);
+
+  assert.strictEqual(passwordChangeRequired({ mustChangePassword: true, passwordChangedAt: recent }), true);
+  assert.strictEqual(passwordChangeRequired({ mustChangePassword: false, passwordChangedAt: recent }), false);
+
+  process.env.PASSWORD_MAX_AGE_DAYS = '7';
+  try {
+    assert.strictEqual(passwordChangeRequired({ mustChangePassword: false, passwordChangedAt: recent }), true);
+  } finally {
+    delete process.env.PASSWORD_MAX_AGE_DAYS;
+  }
+});
+
+test('generateTemporaryPassword meets the minimum length', () => {
+  const password = generateTemporaryPassword();
+
+  assert.strictEqual(password.length, 12);
+  assert.notStrictEqual(generateTemporaryPassword(), password);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { derivePaymentStatus, ageingBucket, emptyBuckets } = require('../lib/payments');
+
+test('derivePaymentStatus: nothing paid is UNPAID', () => {
+  assert.strictEqual(derivePaymentStatus(100, 0), 'UNPAID');
+});
+
+test('derivePaymentStatus: part paid is PARTIALLY_PAID', () => {
+  assert.strictEqual(derivePaymentStatus(100, 40), 'PARTIALLY_PAID');
+});
+
+test('derivePaymentStatus: paid to within a cent is PAID', () => {
+  assert.strictEqual(derivePaymentStatus(100, 100), 'PAID');
+  assert.strictEqual(derivePaymentStatus(100, 99.996), 'PAID');
+});
+
+test('derivePaymentStatus: an order returned in full is settled', () => {
+  assert.strictEqual(derivePaymentStatus(0, 0), 'PAID');
+  assert.strictEqual(derivePaymentStatus(0.001, 0), 'PAID');
+});
+
+test('ageingBucket puts each age in the first bucket that covers it', () => {
+  assert.strictEqual(ageingBucket(0), '0-30');
+  assert.strictEqual(ageingBucket(30), '0-30');
+  assert.strictEqual(ageingBucket(31), '31-60');
+  assert.strictEqual(ageingBucket(90), '61-90');
+  assert.strictEqual(ageingBucket(365), '90+');
+});
+
+test('emptyBuckets starts every bucket at zero', () => {
+  assert.deepStrictEqual(emptyBuckets(), { '0-30': 0, '31-60': 0, '61-90': 0, '90+': 0 });
+});
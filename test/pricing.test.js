@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.PRICE_FLOOR_DISCOUNT_PERCENT;
+
+const { resolveListPrice, priceFloor, priceFlagFor } = require('../lib/pricing');
+
+// Just enough of the database for resolveListPrice
+const fakeDb = ({ customerPrices = [], priceLists = [], priceListItems = [] }) => ({
+  customerPrice: {
+    findUnique: async ({ where }) => {
+      const { customerId, stockItemId } = where.customerId_stockItemId;
+      return customerPrices.find(entry => entry.customerId === customerId && entry.stockItemId === stockItemId) || null;
+    }
+  },
+  priceList: {
+    findFirst: async () => priceLists.find(list => list.isDefault && list.isActive) || null
+  },
+  priceListItem: {
+    findFirst: async ({ where }) => {
+      const list = priceLists.find(entry => entry.id === where.priceListId);
+      if (!list || !list.isActive) return null;
+      return priceListItems.find(entry => entry.priceListId === where.priceListId && entry.stockItemId === where.stockItemId) || null;
+    }
+  }
+});
+
+const board = { id: 's1', sellingPrice: 1000, averageCost: 600, buyingPrice: 550 };
+const lists = [
+  { id: 'retail', isDefault: true, isActive: true },
+  { id: 'trade', isDefault: false, isActive: true }
+];
+const listItems = [
+  { priceListId: 'retail', stockItemId: 's1', price: 950, minPrice: null },
+  { priceListId: 'trade', stockItemId: 's1', price: 850, minPrice: 800 }
+];
+
+test('resolveListPrice prefers the customer\'s own price', async () => {
+  const db = fakeDb({ customerPrices: [{ customerId: 'c1', stockItemId: 's1', price: 800 }], priceLists: lists, priceListItems: listItems });
+
+  assert.deepStrictEqual(await resolveListPrice(db, board, { id: 'c1', priceListId: 'trade' }), {
+    price: 800,
+    minPrice: null,
+    source: 'customer'
+  });
+});
+
+test('resolveListPrice falls back from the customer\'s list to the default list', async () => {
+  const db = fakeDb({ priceLists: lists, priceListItems: listItems });
+
+  assert.strictEqual((await resolveListPrice(db, board, { id: 'c1', priceListId: 'trade' })).priceListId, 'trade');
+  assert.strictEqual((await resolveListPrice(db, board, { id: 'c2', priceListId: null })).priceListId, 'retail');
+  assert.strictEqual((await resolveListPrice(db, board)).price, 950);
+});
+
+test('resolveListPrice skips inactive lists and ends at the selling price', async () => {
+  const db = fakeDb({ priceLists: [{ id: 'trade', isDefault: false, isActive: false }], priceListItems: listItems });
+
+  assert.deepStrictEqual(await resolveListPrice(db, board, { id: 'c1', priceListId: 'trade' }), {
+    price: 1000,
+    minPrice: null,
+    source: 'item'
+  });
+  assert.strictEqual(await resolveListPrice(db, { ...board, sellingPrice: null }), null);
+});
+
+test('priceFloor uses the minimum price or the default discount', () => {
+  assert.strictEqual(priceFloor({ price: 850, minPrice: 800 }), 800);
+  assert.strictEqual(priceFloor({ price: 1000, minPrice: null }), 900);
+});
+
+test('priceFlagFor flags prices below cost before prices below the floor', () => {
+  const listPrice = { price: 1000, minPrice: null };
+
+  assert.strictEqual(priceFlagFor(590, listPrice, board), 'BELOW_COST');
+  assert.strictEqual(priceFlagFor(850, listPrice, board), 'BELOW_FLOOR');
+  assert.strictEqual(priceFlagFor(900, listPrice, board), null);
+  assert.strictEqual(priceFlagFor(700, null, board), null);
+});
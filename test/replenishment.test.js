@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+for (const name of ['REORDER_SALES_WINDOW_DAYS', 'REORDER_LEAD_TIME_DAYS', 'REORDER_SAFETY_DAYS', 'REORDER_COVER_DAYS']) {
+  delete process.env[name];
+}
+
+// The module keeps a default client; the tests pass their own everywhere
+const prismaPath = require.resolve('../lib/prisma');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma: {} } };
+
+const { planReplenishment, notifyReorderCrossing } = require('../lib/replenishment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const item = (fields) => ({
+  quantity: 0,
+  reservedQuantity: 0,
+  reorderPoint: null,
+  reorderQuantity: null,
+  leadTimeDays: null,
+  archivedAt: null,
+  ...fields
+});
+
+const planDb = ({ stockItems, sold = {}, purchaseOrders = [], openLines = [] }) => ({
+  stockItem: { findMany: async () => stockItems },
+  orderItem: {
+    groupBy: async () => Object.entries(sold).map(([stockItemId, quantity]) => ({
+      stockItemId,
+      _sum: { quantity, returnedQuantity: 0 }
+    }))
+  },
+  purchaseOrder: { findMany: async () => purchaseOrders },
+  purchaseOrderItem: { findMany: async () => openLines }
+});
+
+test('planReplenishment works out reorder points from sales velocity', async () => {
+  // 180 sold over 90 days is 2 a day: (14 lead + 7 safety) * 2 = 42, 30 days' cover = 60
+  const db = planDb({ stockItems: [item({ id: 's1', name: 'MDF', quantity: 50, reservedQuantity: 10 })], sold: { s1: 180 } });
+  const [plan] = (await planReplenishment({}, db)).items;
+
+  assert.strictEqual(plan.dailySales, 2);
+  assert.strictEqual(plan.daysOfCover, 20);
+  assert.strictEqual(plan.reorderPoint, 42);
+  assert.strictEqual(plan.reorderQuantity, 60);
+  assert.strictEqual(plan.belowReorderPoint, true);
+  assert.strictEqual(plan.suggestedQuantity, 42 + 60 - 40);
+});
+
+test('planReplenishment counts open purchase orders and prefers the item\'s own settings', async () => {
+  const db = planDb({
+    stockItems: [item({ id: 's1', name: 'MDF', quantity: 3, reorderPoint: 10, reorderQuantity: 20 })],
+    openLines: [{ stockItemId: 's1', quantityOrdered: 8, quantityReceived: 2 }]
+  });
+  const [plan] = (await planReplenishment({}, db)).items;
+
+  assert.strictEqual(plan.onOrderQuantity, 6);
+  assert.strictEqual(plan.reorderPointSource, 'ITEM');
+  assert.strictEqual(plan.suggestedQuantity, 10 + 20 - 9);
+});
+
+test('planReplenishment uses observed lead times from received purchase orders', async () => {
+  const orderedAt = new Date(Date.now() - 30 * DAY_MS);
+  const db = planDb({
+    stockItems: [item({ id: 's1', name: 'MDF', quantity: 100 })],
+    sold: { s1: 90 },
+    purchaseOrders: [
+      { orderedAt, receivedAt: new Date(orderedAt.getTime() + 9 * DAY_MS), items: [{ stockItemId: 's1' }] },
+      { orderedAt, receivedAt: new Date(orderedAt.getTime() + 12 * DAY_MS), items: [{ stockItemId: 's1' }] }
+    ]
+  });
+  const [plan] = (await planReplenishment({}, db)).items;
+
+  assert.strictEqual(plan.leadTimeSource, 'PURCHASE_HISTORY');
+  assert.strictEqual(plan.leadTimeDays, 11);
+  assert.strictEqual(plan.reorderPoint, 18);
+  assert.strictEqual(plan.belowReorderPoint, false);
+});
+
+test('planReplenishment never flags items that neither sell nor have a reorder point', async () => {
+  const db = planDb({ stockItems: [item({ id: 's1', name: 'MDF' })] });
+  const [plan] = (await planReplenishment({}, db)).items;
+
+  assert.strictEqual(plan.reorderPoint, 0);
+  assert.strictEqual(plan.belowReorderPoint, false);
+  assert.strictEqual(plan.daysOfCover, null);
+});
+
+const crossingDb = (row) => {
+  const events = [];
+  return {
+    events,
+    stockItem: { findUnique: async () => row },
+    event: { create: async ({ data }) => events.push(data) }
+  };
+};
+
+test('notifyReorderCrossing publishes only when the drop crosses the reorder point', async () => {
+  const row = item({ id: 's1', name: 'MDF', quantity: 12, reservedQuantity: 2, reorderPoint: 10, reorderQuantity: 25 });
+
+  const crossed = crossingDb(row);
+  await notifyReorderCrossing(crossed, 's1', 3);
+  assert.deepStrictEqual(crossed.events, [{
+    type: 'stock.low',
+    payload: { stockItemId: 's1', name: 'MDF', availableQuantity: 10, reorderPoint: 10, reorderQuantity: 25 },
+    permission: 'stock.replenishment.view',
+    userId: null
+  }]);
+
+  // Still above the point, or already at it before this drop
+  const stillAbove = crossingDb({ ...row, quantity: 13 });
+  const alreadyLow = crossingDb({ ...row, quantity: 11 });
+  await notifyReorderCrossing(stillAbove, 's1', 3);
+  await notifyReorderCrossing(alreadyLow, 's1', 1);
+  assert.deepStrictEqual([...stillAbove.events, ...alreadyLow.events], []);
+});
+
+test('notifyReorderCrossing ignores archived items and items without a reorder point', async () => {
+  const archived = crossingDb(item({ id: 's1', quantity: 5, reorderPoint: 10, archivedAt: new Date() }));
+  const noPoint = crossingDb(item({ id: 's1', quantity: 5 }));
+
+  await notifyReorderCrossing(archived, 's1', 10);
+  await notifyReorderCrossing(noPoint, 's1', 10);
+
+  assert.deepStrictEqual([...archived.events, ...noPoint.events], []);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// An in-memory stand-in for the tables the session code touches
+const sessions = [];
+const refreshTokens = [];
+const user = { id: 'u1', username: 'abebe', role: 'MANAGER', isActive: true, mustChangePassword: false };
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+const fakePrisma = {
+  session: {
+    create: async ({ data }) => {
+      const session = { id: `s${sessions.length + 1}`, revokedAt: null, ...data };
+      sessions.push(session);
+      return session;
+    },
+    update: async ({ where, data }) => Object.assign(sessions.find(session => session.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = sessions.filter(session => matches(session, where));
+      rows.forEach(session => Object.assign(session, data));
+      return { count: rows.length };
+    }
+  },
+  refreshToken: {
+    create: async ({ data }) => {
+      const token = { id: `r${refreshTokens.length + 1}`, usedAt: null, ...data };
+      refreshTokens.push(token);
+      return token;
+    },
+    findUnique: async ({ where }) => {
+      const token = refreshTokens.find(entry => entry.tokenHash === where.tokenHash);
+      if (!token) return null;
+
+      const session = sessions.find(entry => entry.id === token.sessionId);
+      return { ...token, session: { ...session, user } };
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = refreshTokens.filter(token => matches(token, where));
+      rows.forEach(token => Object.assign(token, data));
+      return { count: rows.length };
+    }
+  },
+  $transaction: async (work) => work(fakePrisma)
+};
+
+const prismaPath = require.resolve('../lib/prisma');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma: fakePrisma } };
+
+const { startSession, rotateRefreshToken, isSessionRevoked } = require('../lib/sessions');
+
+test('rotateRefreshToken swaps a refresh token for a new pair', async () => {
+  const first = await startSession(user, { userAgent: 'test', ipAddress: '127.0.0.1' });
+  const second = await rotateRefreshToken(first.refreshToken);
+
+  assert.ok(second.token);
+  assert.notStrictEqual(second.refreshToken, first.refreshToken);
+  assert.strictEqual(refreshTokens.filter(token => token.usedAt).length, 1);
+  assert.ok(await rotateRefreshToken(second.refreshToken));
+});
+
+test('rotateRefreshToken revokes the session when a used token comes back', async () => {
+  const { refreshToken } = await startSession(user, {});
+  const sessionId = sessions[sessions.length - 1].id;
+
+  await rotateRefreshToken(refreshToken);
+
+  await assert.rejects(rotateRefreshToken(refreshToken), { status: 401 });
+  assert.strictEqual(sessions.find(session => session.id === sessionId).revokedReason, 'REFRESH_TOKEN_REUSED');
+  assert.strictEqual(isSessionRevoked(sessionId), true);
+});
+
+test('rotateRefreshToken lets only one of two racing refreshes through and revokes the session', async () => {
+  const { refreshToken } = await startSession(user, {});
+  const sessionId = sessions[sessions.length - 1].id;
+
+  const results = await Promise.allSettled([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 401);
+  assert.strictEqual(sessions.find(session => session.id === sessionId).revokedReason, 'REFRESH_TOKEN_REUSED');
+});
+
+test('rotateRefreshToken rejects unknown tokens', async () => {
+  await assert.rejects(rotateRefreshToken('not-a-token'), { status: 401, message: 'Invalid refresh token' });
+});
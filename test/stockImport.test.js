@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planStockImport, summarizePlan } = require('../lib/stockImport');
+
+const header = ['name', 'quantity', 'buyingPrice', 'sellingPrice'];
+const board = { id: 's1', name: '18mm MDF', quantity: 8, buyingPrice: 500, sellingPrice: 650, archivedAt: null };
+
+test('planStockImport reports missing columns and empty files on row 1', () => {
+  assert.deepStrictEqual(planStockImport([], []).errors, [{ row: 1, errors: ['File is empty'] }]);
+  assert.deepStrictEqual(planStockImport([['name', 'price']], []).errors, [
+    { row: 1, errors: ['Missing columns: quantity, buyingPrice'] }
+  ]);
+});
+
+test('planStockImport leaves the selling price alone when the cell is blank', () => {
+  const { plan } = planStockImport([header, ['18mm MDF', '8', '500', '']], [board]);
+
+  assert.strictEqual(plan[0].action, 'unchanged');
+  assert.deepStrictEqual(plan[0].changes, {});
+});
+
+test('planStockImport accepts thousands separators in numbers', () => {
+  const { errors, plan } = planStockImport([header, ['18mm MDF', '1,200', '500', '700']], [board]);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(plan[0].changes, {
+    quantity: { from: 8, to: 1200 },
+    sellingPrice: { from: 650, to: 700 }
+  });
+});
+
+test('planStockImport refuses rows that match an archived item', () => {
+  const archived = { ...board, archivedAt: new Date('2026-01-01') };
+  const { errors, plan } = planStockImport([header, ['18mm mdf', '3', '500', '']], [archived]);
+
+  assert.deepStrictEqual(plan, []);
+  assert.deepStrictEqual(errors, [
+    { row: 2, name: '18mm mdf', errors: ['18mm MDF is archived; restore it before importing'] }
+  ]);
+});
+
+test('summarizePlan counts each action', () => {
+  const { plan } = planStockImport(
+    [header, ['18mm MDF', '9', '500', ''], ['New board', '2', '100', ''], ['Other', '0', '1', '']],
+    [board, { id: 's2', name: 'Other', quantity: 0, buyingPrice: 1, sellingPrice: null, archivedAt: null }]
+  );
+
+  assert.deepStrictEqual(summarizePlan(plan), { created: 1, updated: 1, unchanged: 1 });
+});